@@ -0,0 +1,59 @@
+const { MonitoringBackend, PollingBackend } = require('./monitoring-backend');
+const NativeDetectionBackend = require('./native-detection-backend');
+const SysfsBackend = require('./sysfs-backend');
+const USBPollingBackend = require('./usb-polling-backend');
+const SystemPollingBackend = require('./system-polling-backend');
+const SimulatedBackend = require('./simulated-backend');
+
+// Registered backends in auto-selection priority order
+const registry = new Map();
+
+/**
+ * Register a monitoring backend under a method name. Custom backends are
+ * normally selected explicitly with the manager's `monitoringMethod` option
+ * (or USB_MONITORING_METHOD), since system-polling is always available.
+ */
+function registerBackend(name, Backend) {
+  if (!(Backend.prototype instanceof MonitoringBackend)) {
+    throw new Error(`Backend ${name} must extend MonitoringBackend`);
+  }
+  registry.set(name, Backend);
+}
+
+/**
+ * Remove a registered backend
+ */
+function unregisterBackend(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Get a backend class by method name
+ */
+function getBackend(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * List registered method names in priority order
+ */
+function listBackends() {
+  return Array.from(registry.keys());
+}
+
+// A configured scenario is an explicit request to simulate, so it goes first;
+// system-polling is always available and comes last among the built-ins
+registerBackend('simulated', SimulatedBackend);
+registerBackend('node-usb-detection', NativeDetectionBackend);
+registerBackend('linux-sysfs', SysfsBackend);
+registerBackend('usb-polling', USBPollingBackend);
+registerBackend('system-polling', SystemPollingBackend);
+
+module.exports = {
+  MonitoringBackend,
+  PollingBackend,
+  registerBackend,
+  unregisterBackend,
+  getBackend,
+  listBackends
+};
@@ -0,0 +1,190 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Base class for USB monitoring backends.
+ *
+ * A backend enumerates the devices it can see and, once started, reports
+ * changes by emitting:
+ *   - 'connect'    (deviceInfo)          a device appeared
+ *   - 'disconnect' (deviceInfo | id)     a device went away
+ *   - 'update'     (deviceInfo)          a known device was seen again (the
+ *                                        manager diffs it against its copy)
+ *   - 'error'      (error)               the backend hit a runtime failure
+ *   - 'poll'       ()                    a poll completed (polling backends only)
+ *
+ * Backends receive the manager so they can reuse its device enrichment
+ * helpers and compare against its current device map.
+ */
+class MonitoringBackend extends EventEmitter {
+  constructor(manager, options = {}) {
+    super();
+    this.manager = manager;
+    this.options = options;
+    this.running = false;
+  }
+
+  /**
+   * Whether the backend can run in this environment
+   */
+  static isAvailable(manager) {
+    return true;
+  }
+
+  /**
+   * Return the devices currently present as normalized device info objects
+   */
+  async enumerate() {
+    throw new Error(`${this.constructor.name} does not implement enumerate()`);
+  }
+
+  /**
+   * Begin emitting device events
+   */
+  start() {
+    this.running = true;
+  }
+
+  /**
+   * Stop emitting device events and release resources
+   */
+  stop() {
+    this.running = false;
+  }
+}
+
+/**
+ * Backend that periodically enumerates devices and diffs the result
+ * against the manager's device map. The next poll is only scheduled once
+ * the previous one has finished, so slow polls never overlap.
+ */
+class PollingBackend extends MonitoringBackend {
+  constructor(manager, options = {}) {
+    super(manager, options);
+    this.interval = options.interval || this.constructor.defaultInterval;
+    this.timer = null;
+    this.polling = false;
+    this.pollStats = {
+      pollCount: 0,
+      lastPollAt: null,
+      lastDurationMs: null,
+      averageDurationMs: null,
+      maxDurationMs: null
+    };
+  }
+
+  static get defaultInterval() {
+    return 2000;
+  }
+
+  start() {
+    super.start();
+    this.startTimer();
+  }
+
+  stop() {
+    super.stop();
+    this.stopTimer();
+  }
+
+  startTimer() {
+    this.stopTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runPoll().catch(error => {
+        logger.error(`${this.constructor.name} poll failed:`, error);
+      }).then(() => {
+        if (this.running && !this.timer) {
+          this.startTimer();
+        }
+      });
+    }, this.interval);
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Change the polling interval (null restores the default), taking
+   * effect immediately when the backend is waiting for its next poll
+   */
+  setPollInterval(interval) {
+    this.interval = interval || this.constructor.defaultInterval;
+    if (this.timer) {
+      this.startTimer();
+    }
+  }
+
+  /**
+   * Run one poll unless one is already in flight, recording its duration
+   */
+  async runPoll() {
+    if (this.polling) return;
+
+    this.polling = true;
+    const startedAt = Date.now();
+    try {
+      await this.poll();
+      this.recordPoll(Date.now() - startedAt);
+      this.emit('poll');
+    } catch (error) {
+      // A poll that finishes after stop() has no one to report to, and an
+      // unheard 'error' event would throw
+      if (this.running && this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  recordPoll(durationMs) {
+    const stats = this.pollStats;
+    stats.pollCount++;
+    stats.lastPollAt = new Date().toISOString();
+    stats.lastDurationMs = durationMs;
+    stats.maxDurationMs = Math.max(stats.maxDurationMs || 0, durationMs);
+    stats.averageDurationMs = stats.averageDurationMs === null
+      ? durationMs
+      : Math.round((stats.averageDurationMs * (stats.pollCount - 1) + durationMs) / stats.pollCount);
+  }
+
+  getPollStats() {
+    return { ...this.pollStats, inProgress: this.polling };
+  }
+
+  /**
+   * Enumerate once and emit connect/update/disconnect for the differences.
+   * Errors propagate to runPoll(), which reports them.
+   */
+  async poll() {
+    const currentDevices = await this.enumerate();
+    const currentDeviceIds = new Set(currentDevices.map(device => device.id));
+
+    // Check for new (or re-plugged) and changed devices
+    currentDevices.forEach(device => {
+      const known = this.manager.devices.get(device.id);
+      if (!known || known.status !== 'connected') {
+        this.emit('connect', device);
+      } else {
+        this.emit('update', device);
+      }
+    });
+
+    // Check for removed devices
+    this.manager.devices.forEach((device, deviceId) => {
+      if (!currentDeviceIds.has(deviceId) && device.status === 'connected') {
+        this.emit('disconnect', device);
+      }
+    });
+  }
+}
+
+module.exports = {
+  MonitoringBackend,
+  PollingBackend
+};
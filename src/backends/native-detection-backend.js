@@ -0,0 +1,55 @@
+const { MonitoringBackend } = require('./monitoring-backend');
+
+/**
+ * Event-driven monitoring using node-usb-detection
+ */
+class NativeDetectionBackend extends MonitoringBackend {
+  constructor(manager, options = {}) {
+    super(manager, options);
+    this.onAdd = (device) => this.emit('connect', device);
+    this.onRemove = (device) => this.emit('disconnect', device);
+  }
+
+  static isAvailable(manager) {
+    return !!manager.usbDetection;
+  }
+
+  async enumerate() {
+    const usbDetection = this.manager.usbDetection;
+    if (!usbDetection) return [];
+
+    return new Promise((resolve, reject) => {
+      usbDetection.find((err, devices) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(devices.map(device => this.manager.enrichDeviceInfo(device, 'connected')));
+        }
+      });
+    });
+  }
+
+  start() {
+    const usbDetection = this.manager.usbDetection;
+    if (!usbDetection) {
+      throw new Error('node-usb-detection not available');
+    }
+
+    usbDetection.on('add', this.onAdd);
+    usbDetection.on('remove', this.onRemove);
+    usbDetection.startMonitoring();
+    super.start();
+  }
+
+  stop() {
+    const usbDetection = this.manager.usbDetection;
+    if (usbDetection && this.running) {
+      usbDetection.removeListener('add', this.onAdd);
+      usbDetection.removeListener('remove', this.onRemove);
+      usbDetection.stopMonitoring();
+    }
+    super.stop();
+  }
+}
+
+module.exports = NativeDetectionBackend;
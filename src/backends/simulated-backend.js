@@ -0,0 +1,119 @@
+const fs = require('fs');
+const { MonitoringBackend } = require('./monitoring-backend');
+
+/**
+ * Simulated monitoring driven by a JSON scenario file, for developing
+ * clients on machines without USB hardware.
+ *
+ * Scenario format:
+ * {
+ *   "devices": [{ "vendorId": 1921, "productId": 21863, ... }],
+ *   "events": [
+ *     { "at": 5000, "action": "connect", "device": { ... } },
+ *     { "at": 7000, "action": "update", "id": "...", "changes": { "speed": "full" } },
+ *     { "at": 9000, "action": "disconnect", "id": "..." }
+ *   ],
+ *   "loop": true
+ * }
+ *
+ * `devices` are present from the start, `events` fire `at` milliseconds
+ * after monitoring starts and repeat when `loop` is set.
+ */
+class SimulatedBackend extends MonitoringBackend {
+  constructor(manager, options = {}) {
+    super(manager, options);
+    this.scenarioPath = SimulatedBackend.getScenarioPath(options);
+    this.timers = [];
+  }
+
+  static getScenarioPath(options = {}) {
+    return options.simulationScenario || process.env.USB_SIMULATION_SCENARIO || null;
+  }
+
+  static isAvailable(manager) {
+    return !!SimulatedBackend.getScenarioPath(manager.options);
+  }
+
+  async loadScenario() {
+    if (!this.scenarioPath) {
+      throw new Error('No simulation scenario configured');
+    }
+
+    const scenario = JSON.parse(await fs.promises.readFile(this.scenarioPath, 'utf-8'));
+    return {
+      devices: scenario.devices || [],
+      events: scenario.events || [],
+      loop: !!scenario.loop
+    };
+  }
+
+  /**
+   * Normalize a scenario device, keeping any extra fields it declares
+   */
+  toDeviceInfo(device, status = 'connected') {
+    const deviceInfo = { ...device, ...this.manager.enrichDeviceInfo(device, status) };
+    if (device.id) {
+      deviceInfo.id = device.id;
+    }
+    return deviceInfo;
+  }
+
+  async enumerate() {
+    const scenario = await this.loadScenario();
+    return scenario.devices.map(device => this.toDeviceInfo(device));
+  }
+
+  start() {
+    super.start();
+    this.loadScenario()
+      .then(scenario => this.schedule(scenario))
+      .catch(error => this.emit('error', error));
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    super.stop();
+  }
+
+  /**
+   * Schedule one pass over the scenario events
+   */
+  schedule(scenario) {
+    if (!this.running) return;
+
+    scenario.events.forEach(event => {
+      this.timers.push(setTimeout(() => this.fire(event), event.at || 0));
+    });
+
+    if (scenario.loop && scenario.events.length > 0) {
+      const duration = Math.max(...scenario.events.map(event => event.at || 0)) + 1;
+      this.timers.push(setTimeout(() => {
+        this.timers = [];
+        this.schedule(scenario);
+      }, duration));
+    }
+  }
+
+  fire(event) {
+    switch (event.action) {
+      case 'connect':
+        this.emit('connect', this.toDeviceInfo(event.device));
+        break;
+      case 'disconnect':
+        this.emit('disconnect', event.id || this.toDeviceInfo(event.device, 'disconnected').id);
+        break;
+      case 'update': {
+        const known = this.manager.getDevice(event.id || this.toDeviceInfo(event.device).id);
+        if (known) {
+          this.emit('update', { ...known, ...event.changes });
+        }
+        break;
+      }
+      default:
+        this.emit('error', new Error(`Unknown scenario action: ${event.action}`));
+    }
+  }
+}
+
+module.exports = SimulatedBackend;
@@ -0,0 +1,93 @@
+const path = require('path');
+const { PollingBackend } = require('./monitoring-backend');
+const sysfs = require('../utils/sysfs');
+const logger = require('../utils/logger');
+
+/**
+ * Linux monitoring from sysfs, driven by kernel uevents.
+ * A fake sysfs root never receives uevents, so it is polled instead,
+ * as is the real one when udevadm is unavailable.
+ */
+class SysfsBackend extends PollingBackend {
+  constructor(manager, options = {}) {
+    super(manager, options);
+    this.ueventMonitor = null;
+  }
+
+  static isAvailable(manager) {
+    return sysfs.isAvailable(manager.sysfsRoot);
+  }
+
+  async enumerate() {
+    return this.manager.getSysfsUSBDevices();
+  }
+
+  start() {
+    const sysfsRoot = this.manager.sysfsRoot;
+    if (!sysfs.isAvailable(sysfsRoot)) {
+      throw new Error(`sysfs USB tree not available under ${sysfsRoot}`);
+    }
+
+    if (path.resolve(sysfsRoot) !== '/sys') {
+      super.start();
+      return;
+    }
+
+    this.running = true;
+    this.ueventMonitor = new sysfs.UeventMonitor();
+
+    this.ueventMonitor.on('add', async (event) => {
+      try {
+        const attributes = await sysfs.readUSBDevice(sysfsRoot, event.name);
+        if (!attributes) return;
+
+        const deviceInfo = this.manager.enrichSysfsDeviceInfo(attributes, 'connected');
+        const known = this.manager.devices.get(deviceInfo.id);
+        if (!known || known.status !== 'connected') {
+          this.emit('connect', deviceInfo);
+        }
+      } catch (error) {
+        logger.error(`Error reading sysfs device ${event.name}:`, error);
+      }
+    });
+
+    this.ueventMonitor.on('change', async (event) => {
+      try {
+        const attributes = await sysfs.readUSBDevice(sysfsRoot, event.name);
+        if (attributes) {
+          this.emit('update', this.manager.enrichSysfsDeviceInfo(attributes, 'connected'));
+        }
+      } catch (error) {
+        logger.error(`Error reading sysfs device ${event.name}:`, error);
+      }
+    });
+
+    this.ueventMonitor.on('remove', (event) => {
+      const device = Array.from(this.manager.devices.values())
+        .find(d => d.portPath === event.name && d.status === 'connected');
+      if (device) {
+        this.emit('disconnect', device);
+      }
+    });
+
+    this.ueventMonitor.on('error', (error) => {
+      logger.warn(`Kernel uevents unavailable (${error.message}), polling sysfs instead`);
+      this.ueventMonitor = null;
+      if (this.running && !this.timer) {
+        super.start();
+      }
+    });
+
+    this.ueventMonitor.start();
+  }
+
+  stop() {
+    if (this.ueventMonitor) {
+      this.ueventMonitor.stop();
+      this.ueventMonitor = null;
+    }
+    super.stop();
+  }
+}
+
+module.exports = SysfsBackend;
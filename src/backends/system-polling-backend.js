@@ -0,0 +1,16 @@
+const { PollingBackend } = require('./monitoring-backend');
+
+/**
+ * Polling monitoring using OS commands (lsusb, system_profiler, wmic)
+ */
+class SystemPollingBackend extends PollingBackend {
+  static get defaultInterval() {
+    return 3000;
+  }
+
+  async enumerate() {
+    return this.manager.getSystemUSBDevices();
+  }
+}
+
+module.exports = SystemPollingBackend;
@@ -0,0 +1,64 @@
+const { PollingBackend } = require('./monitoring-backend');
+
+/**
+ * Polling monitoring using the usb library device list
+ */
+class USBPollingBackend extends PollingBackend {
+  static isAvailable(manager) {
+    return !!manager.usbLib;
+  }
+
+  async enumerate() {
+    const usbLib = this.manager.usbLib;
+    if (!usbLib) return [];
+
+    const usbDevices = usbLib.getDeviceList();
+    return Promise.all(usbDevices.map(usbDevice =>
+      this.manager.enrichUSBDeviceInfo(usbDevice, 'connected')
+    ));
+  }
+
+  start() {
+    if (!this.manager.usbLib) {
+      throw new Error('usb library not available');
+    }
+    super.start();
+  }
+
+  /**
+   * Only open (enrich) devices that are not already known. Devices are
+   * compared by bus address, since the stable ID needs the serial number.
+   */
+  async poll() {
+    const currentDevices = this.manager.usbLib.getDeviceList();
+    const currentDeviceIds = new Set();
+    const knownDevices = new Map();
+    this.manager.devices.forEach(device => {
+      if (device.status === 'connected') {
+        knownDevices.set(device.transientId, device);
+      }
+    });
+
+    // Enrich new devices and refresh known ones before emitting, in device order
+    const results = await Promise.all(currentDevices.map(device => {
+      const transientId = this.manager.generateDeviceIdFromUSB(device);
+      currentDeviceIds.add(transientId);
+
+      const known = knownDevices.get(transientId);
+      return known
+        ? this.manager.refreshUSBDeviceInfo(device, known).then(deviceInfo => ({ event: 'update', deviceInfo }))
+        : this.manager.enrichUSBDeviceInfo(device, 'connected').then(deviceInfo => ({ event: 'connect', deviceInfo }));
+    }));
+
+    results.forEach(({ event, deviceInfo }) => this.emit(event, deviceInfo));
+
+    // Check for removed devices
+    knownDevices.forEach((device, transientId) => {
+      if (!currentDeviceIds.has(transientId)) {
+        this.emit('disconnect', device);
+      }
+    });
+  }
+}
+
+module.exports = USBPollingBackend;
@@ -1,16 +1,163 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const Busboy = require('busboy');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { CATEGORIES } = require('../utils/classification');
+
+// HTTP status for file browser, transfer and eject error codes
+const FILE_ERROR_STATUS = {
+  INVALID_PATH: 400,
+  INVALID_REQUEST: 400,
+  INVALID_POLICY: 400,
+  EISDIR: 400,
+  ENOTDIR: 400,
+  PATH_OUTSIDE_VOLUME: 403,
+  EACCES: 403,
+  EPERM: 403,
+  EROFS: 403,
+  DEVICE_NOT_ALLOWED: 403,
+  DEVICE_DENIED: 403,
+  LIBUSB_ERROR_ACCESS: 403,
+  LIBUSB_ERROR_NO_DEVICE: 404,
+  DEVICE_NOT_CONNECTED: 409,
+  LIBUSB_ERROR_BUSY: 409,
+  LIBUSB_ERROR_PIPE: 502,
+  USB_UNAVAILABLE: 503,
+  LIBUSB_ERROR_TIMEOUT: 504,
+  ENOENT: 404,
+  EEXIST: 409,
+  ENOTEMPTY: 409,
+  TRANSFER_CANCELLED: 409,
+  TRANSFERS_IN_PROGRESS: 409,
+  INGEST_IN_PROGRESS: 409,
+  NO_SERIAL_PORTS: 409,
+  DEVICE_EJECTING: 409,
+  NO_VOLUMES: 409,
+  ENFORCEMENT_DISABLED: 409,
+  EBUSY: 409,
+  CHECKSUM_MISMATCH: 422,
+  INSUFFICIENT_SPACE: 507
+};
+
+/**
+ * Relative path from the optional `*path` wildcard of a files route
+ */
+function getFilePath(req) {
+  const segments = req.params.path || [];
+  return Array.isArray(segments) ? segments.join('/') : segments;
+}
+
+/**
+ * Read the first file of a multipart upload and hand its stream to
+ * `onFile(stream, filename)`, resolving with its result
+ */
+function receiveMultipartFile(req, onFile) {
+  return new Promise((resolve, reject) => {
+    let received = false;
+    const busboy = Busboy({ headers: req.headers, limits: { files: 1 } });
+
+    busboy.on('file', (name, file, info) => {
+      received = true;
+      onFile(file, info.filename).then(resolve, (error) => {
+        file.resume();
+        reject(error);
+      });
+    });
+    busboy.on('error', reject);
+    busboy.on('close', () => {
+      if (!received) {
+        const error = new Error('No file in multipart upload');
+        error.code = 'INVALID_PATH';
+        reject(error);
+      }
+    });
+
+    req.pipe(busboy);
+  });
+}
+
+function parseSize(value) {
+  const size = parseInt(value, 10);
+  return Number.isNaN(size) ? null : size;
+}
+
+const PAYLOAD_ENCODINGS = ['hex', 'base64', 'utf8'];
+
+/**
+ * Decode a raw transfer payload sent as a string (hex unless `encoding`
+ * says base64 or utf8)
+ */
+function decodePayload(data, encoding = 'hex') {
+  const invalid = message => Object.assign(new Error(message), { code: 'INVALID_REQUEST' });
+
+  if (!PAYLOAD_ENCODINGS.includes(encoding)) {
+    throw invalid(`encoding must be one of ${PAYLOAD_ENCODINGS.join(', ')}`);
+  }
+  if (typeof data !== 'string') {
+    throw invalid('data must be a string');
+  }
+
+  const text = encoding === 'hex' ? data.replace(/\s+/g, '') : data;
+  if (encoding === 'hex' && !/^([0-9a-f]{2})*$/i.test(text)) {
+    throw invalid('data is not valid hex');
+  }
+  return Buffer.from(text, encoding);
+}
+
+/**
+ * Reply to a raw transfer, encoding IN data like the request asked
+ */
+function sendRawTransfer(res, result, encoding = 'hex') {
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      ...(result.data && { data: result.data.toString(PAYLOAD_ENCODINGS.includes(encoding) ? encoding : 'hex') }),
+      encoding: result.data ? encoding : undefined
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Send a file browser (or storage operation) error with the matching status
+ */
+function sendFileError(res, error, message) {
+  const status = FILE_ERROR_STATUS[error.code] || (error.message === 'Device not found' ? 404 : 500);
+  if (status === 500) {
+    logger.error(`${message}:`, error);
+  }
+  res.status(status).json({
+    success: false,
+    error: message,
+    code: error.code || null,
+    message: error.message,
+    ...(error.transfers && { transfers: error.transfers }),
+    ...(error.remounted && { remounted: error.remounted, remountFailed: error.remountFailed }),
+    ...(error.code === 'INSUFFICIENT_SPACE' && { requiredBytes: error.requiredBytes, freeBytes: error.freeBytes })
+  });
+}
 
 /**
  * Initialize API routes with USB manager instance
  */
 function initializeRoutes(usbManager) {
 
-  // Get all connected USB devices
+  // Get all connected USB devices (optionally ?category=)
   router.get('/devices', (req, res) => {
     try {
-      const devices = usbManager.getDevices();
+      const category = req.query.category;
+      if (category && !CATEGORIES.includes(category)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid category',
+          message: `Category must be one of: ${CATEGORIES.join(', ')}`
+        });
+      }
+
+      const devices = usbManager.getDevices({ category });
       res.json({
         success: true,
         data: devices,
@@ -55,17 +202,558 @@ function initializeRoutes(usbManager) {
     }
   });
 
+  // Get the descriptor tree of a device
+  router.get('/devices/:id/descriptors', (req, res) => {
+    try {
+      const descriptors = usbManager.getDeviceDescriptors(req.params.id);
+
+      if (!descriptors) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found',
+          message: `No device found with ID: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: descriptors,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting device descriptors:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve device descriptors',
+        message: error.message
+      });
+    }
+  });
+
+  // Flush and unmount the device's volumes so it can be removed safely
+  router.post('/devices/:id/eject', async (req, res) => {
+    try {
+      if (!usbManager.getDevice(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found',
+          message: `No device found with ID: ${req.params.id}`
+        });
+      }
+
+      const result = await usbManager.ejectDevice(req.params.id);
+
+      res.json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to eject device');
+    }
+  });
+
+  // Approve a device held by policy enforcement (authorizes it through sysfs)
+  router.post('/devices/:id/authorize', async (req, res) => {
+    try {
+      if (!usbManager.getDevice(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found',
+          message: `No device found with ID: ${req.params.id}`
+        });
+      }
+
+      const device = await usbManager.approveDevice(req.params.id);
+
+      res.json({
+        success: true,
+        data: device,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to authorize device');
+    }
+  });
+
+  // Get the block device volumes (partitions, filesystems, mounts) of a device
+  router.get('/devices/:id/volumes', async (req, res) => {
+    try {
+      if (!usbManager.getDevice(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found',
+          message: `No device found with ID: ${req.params.id}`
+        });
+      }
+
+      const volumes = await usbManager.getDeviceVolumes(req.params.id);
+
+      res.json({
+        success: true,
+        data: volumes,
+        count: volumes.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting device volumes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve device volumes',
+        message: error.message
+      });
+    }
+  });
+
+  // Browse the device's mounted volume: list a directory, or download a
+  // file (?stat=true returns metadata instead)
+  router.get('/devices/:id/files{/*path}', async (req, res) => {
+    try {
+      const filePath = getFilePath(req);
+      const info = await usbManager.statDeviceFile(req.params.id, filePath);
+
+      if (req.query.stat === 'true') {
+        return res.json({
+          success: true,
+          data: info,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (info.type === 'directory') {
+        const entries = await usbManager.listDeviceFiles(req.params.id, filePath);
+        return res.json({
+          success: true,
+          data: entries,
+          path: info.path,
+          count: entries.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const file = await usbManager.getDeviceFileForReading(req.params.id, filePath);
+      res.attachment(file.name);
+      res.set('Content-Length', String(file.size));
+      fs.createReadStream(file.fullPath)
+        .on('error', (error) => {
+          logger.error('Error streaming file:', error);
+          res.destroy(error);
+        })
+        .pipe(res);
+    } catch (error) {
+      sendFileError(res, error, 'Failed to read path');
+    }
+  });
+
+  // Create a folder ({ action: "mkdir", recursive }) or rename/move
+  // ({ action: "rename", to: "<relative path>" })
+  router.post('/devices/:id/files{/*path}', async (req, res) => {
+    try {
+      const filePath = getFilePath(req);
+      const { action, to, recursive } = req.body || {};
+      let result;
+
+      if (action === 'mkdir') {
+        result = await usbManager.createDeviceDirectory(req.params.id, filePath, { recursive: !!recursive });
+      } else if (action === 'rename') {
+        if (typeof to !== 'string' || !to) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            message: 'rename requires a destination path in "to"'
+          });
+        }
+        result = await usbManager.renameDeviceFile(req.params.id, filePath, to);
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request',
+          message: 'action must be "mkdir" or "rename"'
+        });
+      }
+
+      res.status(action === 'mkdir' ? 201 : 200).json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to update path');
+    }
+  });
+
+  // Upload a file as a raw body (the path is the file) or multipart form
+  // data (the path is the target folder). Set X-Transfer-Id to cancel it
+  // later, X-File-Size for progress on multipart uploads, and
+  // X-Content-SHA256 to have the written file checked against a hash.
+  router.put('/devices/:id/files{/*path}', async (req, res) => {
+    try {
+      if (!usbManager.getDevice(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found',
+          message: `No device found with ID: ${req.params.id}`
+        });
+      }
+
+      const transferId = req.get('x-transfer-id') || null;
+      const expectedHash = req.get('x-content-sha256') || null;
+      let result;
+
+      if (req.is('multipart/form-data')) {
+        result = await receiveMultipartFile(req, (file, filename) => {
+          const name = path.posix.basename(String(filename || '').replace(/\\/g, '/'));
+          return usbManager.writeStreamToUSB(req.params.id, path.posix.join(getFilePath(req), name), file, {
+            transferId,
+            expectedHash,
+            totalBytes: parseSize(req.get('x-file-size'))
+          });
+        });
+      } else {
+        // A body already read by a parser would be written as an empty file
+        if (req.readableEnded) {
+          return res.status(415).json({
+            success: false,
+            error: 'Unsupported upload',
+            message: 'The request body was already consumed; send the file as a raw body or multipart/form-data'
+          });
+        }
+
+        result = await usbManager.writeStreamToUSB(req.params.id, getFilePath(req), req, {
+          transferId,
+          expectedHash,
+          totalBytes: parseSize(req.get('content-length'))
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to upload file');
+    }
+  });
+
+  // Delete a file or empty folder (?recursive=true for non-empty folders)
+  router.delete('/devices/:id/files{/*path}', async (req, res) => {
+    try {
+      const result = await usbManager.deleteDeviceFile(req.params.id, getFilePath(req), {
+        recursive: req.query.recursive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to delete path');
+    }
+  });
+
+  // Raw vendor control requests and bulk transfers (allowlisted devices only)
+  router.post('/devices/:id/control', async (req, res) => {
+    try {
+      const { data, encoding, ...request } = req.body || {};
+      const result = await usbManager.controlTransfer(req.params.id, {
+        ...request,
+        data: request.direction === 'out' ? decodePayload(data ?? '', encoding) : null
+      });
+      sendRawTransfer(res, result, encoding);
+    } catch (error) {
+      sendFileError(res, error, 'Control transfer failed');
+    }
+  });
+
+  router.post('/devices/:id/bulk/read', async (req, res) => {
+    try {
+      const { endpoint, length, timeout, encoding } = req.body || {};
+      const result = await usbManager.bulkTransfer(req.params.id, { endpoint, length, timeout, direction: 'in' });
+      sendRawTransfer(res, result, encoding);
+    } catch (error) {
+      sendFileError(res, error, 'Bulk read failed');
+    }
+  });
+
+  router.post('/devices/:id/bulk/write', async (req, res) => {
+    try {
+      const { endpoint, data, timeout, encoding } = req.body || {};
+      const result = await usbManager.bulkTransfer(req.params.id, {
+        endpoint,
+        data: decodePayload(data ?? '', encoding),
+        timeout,
+        direction: 'out'
+      });
+      sendRawTransfer(res, result, encoding);
+    } catch (error) {
+      sendFileError(res, error, 'Bulk write failed');
+    }
+  });
+
+  // tty nodes of a USB-serial device, and whether each is open
+  router.get('/devices/:id/serial', async (req, res) => {
+    try {
+      const ports = await usbManager.getDeviceSerialPorts(req.params.id);
+
+      res.json({
+        success: true,
+        data: ports,
+        count: ports.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to retrieve serial ports');
+    }
+  });
+
+  // Serial ports currently open through the /serial socket namespace
+  router.get('/serial', (req, res) => {
+    const ports = usbManager.getOpenSerialPorts(req.query.deviceId || null);
+    res.json({
+      success: true,
+      data: ports,
+      count: ports.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Enable or disable file-change watching of the device's volumes
+  router.post('/devices/:id/watch', async (req, res) => {
+    try {
+      const watches = await usbManager.watchDevice(req.params.id);
+
+      res.json({
+        success: true,
+        data: watches,
+        count: watches.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to watch device');
+    }
+  });
+
+  router.delete('/devices/:id/watch', (req, res) => {
+    try {
+      const watches = usbManager.unwatchDevice(req.params.id);
+
+      res.json({
+        success: true,
+        data: watches,
+        count: watches.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to stop watching device');
+    }
+  });
+
+  // Active file watches (optionally ?deviceId=) and watch rules
+  router.get('/watches', (req, res) => {
+    const watches = usbManager.getWatches(req.query.deviceId || null);
+    res.json({
+      success: true,
+      data: watches,
+      count: watches.length,
+      rules: usbManager.getWatchRules(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Ingest rules and run reports (optionally ?deviceId=)
+  router.get('/ingest/rules', (req, res) => {
+    const rules = usbManager.getIngestRules();
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/ingest/runs', (req, res) => {
+    try {
+      const runs = usbManager.getIngestRuns(req.query.deviceId || null);
+
+      res.json({
+        success: true,
+        data: runs,
+        count: runs.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting ingest runs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve ingest runs',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/ingest/runs/:runId', (req, res) => {
+    const run = usbManager.getIngestRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ingest run not found',
+        message: `No ingest run found with ID: ${req.params.runId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // In-flight transfers (optionally ?deviceId=)
+  router.get('/transfers', (req, res) => {
+    try {
+      const transfers = usbManager.getTransfers(req.query.deviceId || null);
+
+      res.json({
+        success: true,
+        data: transfers,
+        count: transfers.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting transfers:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve transfers',
+        message: error.message
+      });
+    }
+  });
+
+  // Cancel an in-flight transfer
+  router.delete('/transfers/:transferId', (req, res) => {
+    if (!usbManager.cancelTransfer(req.params.transferId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found',
+        message: `No transfer in progress with ID: ${req.params.transferId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Get the hub -> port -> device tree
+  router.get('/topology', (req, res) => {
+    try {
+      const topology = usbManager.getTopology();
+
+      res.json({
+        success: true,
+        data: topology,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting topology:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve topology',
+        message: error.message
+      });
+    }
+  });
+
+  // Get per-device power and per-hub draw against budget
+  router.get('/power', (req, res) => {
+    try {
+      const power = usbManager.getPowerReport();
+
+      res.json({
+        success: true,
+        data: power,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting power report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve power report',
+        message: error.message
+      });
+    }
+  });
+
+  // Set a hub's power budget in mA ({ budget }, null restores the default)
+  router.put('/power/budgets/:hubId', (req, res) => {
+    try {
+      const budget = req.body ? req.body.budget : undefined;
+      if (budget !== null && (!Number.isInteger(budget) || budget < 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid budget',
+          message: 'Budget must be a non-negative integer in mA, or null for the default'
+        });
+      }
+
+      const power = usbManager.setPowerBudget(req.params.hubId, budget);
+
+      res.json({
+        success: true,
+        data: power,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error setting power budget:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set power budget',
+        message: error.message
+      });
+    }
+  });
+
+  // Get the device policy (ordered allow/deny/alert rules)
+  router.get('/policy', (req, res) => {
+    res.json({
+      success: true,
+      data: usbManager.getPolicy(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Replace the device policy ({ defaultVerdict, rules }) and re-evaluate connected devices
+  router.put('/policy', async (req, res) => {
+    try {
+      const result = await usbManager.setPolicy(req.body || {});
+
+      res.json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendFileError(res, error, 'Failed to update policy');
+    }
+  });
+
   // Get connection history
   router.get('/history', (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 50;
-      const history = usbManager.getHistory(limit);
+      const deviceId = req.query.deviceId || null;
+      const history = usbManager.getHistory(limit, deviceId);
 
       res.json({
         success: true,
         data: history,
         count: history.length,
         limit: limit,
+        deviceId: deviceId,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -127,6 +815,76 @@ function initializeRoutes(usbManager) {
     }
   });
 
+  // Start monitoring
+  router.post('/monitoring/start', (req, res) => {
+    try {
+      usbManager.startMonitoring();
+
+      res.json({
+        success: true,
+        data: usbManager.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error starting monitoring:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start monitoring',
+        message: error.message
+      });
+    }
+  });
+
+  // Stop monitoring
+  router.post('/monitoring/stop', (req, res) => {
+    try {
+      usbManager.stopMonitoring();
+
+      res.json({
+        success: true,
+        data: usbManager.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error stopping monitoring:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stop monitoring',
+        message: error.message
+      });
+    }
+  });
+
+  // Switch monitoring method and/or polling interval ({ method, interval })
+  router.put('/monitoring', async (req, res) => {
+    try {
+      const { method, interval } = req.body || {};
+      const validationError = usbManager.validateMonitoringConfig({ method, interval });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid monitoring configuration',
+          message: validationError
+        });
+      }
+
+      const status = await usbManager.configureMonitoring({ method, interval });
+
+      res.json({
+        success: true,
+        data: status,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error configuring monitoring:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to configure monitoring',
+        message: error.message
+      });
+    }
+  });
+
   // Health check endpoint
   router.get('/health', (req, res) => {
     res.json({
@@ -149,6 +907,10 @@ function initializeRoutes(usbManager) {
 
       const connectEvents = history.filter(h => h.eventType === 'connect').length;
       const disconnectEvents = history.filter(h => h.eventType === 'disconnect').length;
+      const flappingEvents = history.filter(h => h.eventType === 'flapping').length;
+      const updateEvents = history.filter(h => h.eventType === 'update').length;
+      const writeFailures = history.filter(h => h.eventType === 'write-failed').length;
+      const uniqueDevices = new Set(history.map(h => h.deviceId)).size;
 
       // Group by manufacturer
       const manufacturerStats = devices.reduce((acc, device) => {
@@ -157,6 +919,13 @@ function initializeRoutes(usbManager) {
         return acc;
       }, {});
 
+      // Group by device category
+      const categoryStats = devices.reduce((acc, device) => {
+        const category = device.category || 'unknown';
+        acc[category] = (acc[category] || 0) + 1;
+        return acc;
+      }, {});
+
       res.json({
         success: true,
         data: {
@@ -168,9 +937,14 @@ function initializeRoutes(usbManager) {
           events: {
             total: history.length,
             connects: connectEvents,
-            disconnects: disconnectEvents
+            disconnects: disconnectEvents,
+            flapping: flappingEvents,
+            updates: updateEvents,
+            writeFailures: writeFailures,
+            uniqueDevices: uniqueDevices
           },
           manufacturers: manufacturerStats,
+          categories: categoryStats,
           timestamp: new Date().toISOString()
         }
       });
@@ -184,12 +958,55 @@ function initializeRoutes(usbManager) {
     }
   });
 
+  // Look up vendor/product names in the usb.ids database (IDs in hex)
+  router.get('/usb-ids/:vendorId/:productId', (req, res) => {
+    try {
+      const hexId = /^(0x)?[0-9a-f]{1,4}$/i;
+      const { vendorId, productId } = req.params;
+
+      if (!hexId.test(vendorId) || !hexId.test(productId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID',
+          message: 'Vendor and product IDs must be 1-4 hex digits (e.g. 0781 or 0x0781)'
+        });
+      }
+
+      const result = usbManager.lookupUSBIds(parseInt(vendorId, 16), parseInt(productId, 16));
+
+      if (!result.vendorName) {
+        return res.status(404).json({
+          success: false,
+          error: 'Vendor not found',
+          message: `No usb.ids entry for vendor ${vendorId}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error looking up usb.ids:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to look up USB IDs',
+        message: error.message
+      });
+    }
+  });
+
   // In your Express/Koa/etc. routes file
   router.post('/usb/write', async (req, res) => {
     try {
-      const { deviceId, fileName, data } = req.body;
-      const result = await usbManager.writeFileToUSB(deviceId, fileName, data);
-      res.json(result);
+      const { deviceId, fileName, data, sha256 } = req.body;
+      const result = await usbManager.writeFileToUSB(deviceId, fileName, data, { expectedHash: sha256 });
+      // Failures keep their body but get the same status as the file routes
+      const status = result.success
+        ? 200
+        : FILE_ERROR_STATUS[result.code] || (result.error === 'Device not found' ? 404 : 500);
+      res.status(status).json(result);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
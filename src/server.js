@@ -9,6 +9,7 @@ const path = require('path');
 
 const USBManager = require('./usb-manager-robust');
 const SocketHandler = require('./socket/socketHandler');
+const SerialHandler = require('./socket/serialHandler');
 const apiRoutes = require('./routes/api');
 const logger = require('./utils/logger');
 
@@ -26,6 +27,7 @@ class USBMonitorService {
 
     this.usbManager = new USBManager();
     this.socketHandler = null;
+    this.serialHandler = null;
     this.port = process.env.PORT || 3001;
 
     this.setupMiddleware();
@@ -50,9 +52,11 @@ class USBMonitorService {
       allowedHeaders: ['Content-Type', 'Authorization']
     }));
 
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    // Body parsing, except for file uploads, which stream the raw body to the volume
+    const isFileUpload = req => req.method === 'PUT' && /^\/api\/devices\/[^/]+\/files(\/|$)/.test(req.path);
+    const unlessFileUpload = parser => (req, res, next) => isFileUpload(req) ? next() : parser(req, res, next);
+    this.app.use(unlessFileUpload(express.json({ limit: '10mb' })));
+    this.app.use(unlessFileUpload(express.urlencoded({ extended: true, limit: '10mb' })));
 
     // Request logging
     this.app.use((req, res, next) => {
@@ -138,6 +142,9 @@ class USBMonitorService {
       // Initialize Socket Handler
       this.socketHandler = new SocketHandler(this.io, this.usbManager);
 
+      // Serial bridge on the /serial namespace
+      this.serialHandler = new SerialHandler(this.io, this.usbManager);
+
       // Start periodic status updates
       this.socketHandler.startStatusUpdates(30000); // Every 30 seconds
 
@@ -0,0 +1,130 @@
+const logger = require('../utils/logger');
+
+/**
+ * Serial bridge on the /serial socket namespace. A client opens one of a
+ * device's serial ports, receives what the port sends as `serial:data`
+ * and writes to it with `serial:write`. An open port belongs to the
+ * client that opened it until that client closes it or disconnects.
+ *
+ * Client -> server:
+ *   - serial:list   { deviceId? }
+ *   - serial:open   { deviceId, port?, baudRate?, dataBits?, parity?, stopBits?, rtscts? }
+ *   - serial:write  { path, data, encoding? }   data is binary or a string
+ *   - serial:close  { path }
+ */
+class SerialHandler {
+  constructor(io, usbManager) {
+    this.namespace = io.of('/serial');
+    this.usbManager = usbManager;
+
+    this.setupEventHandlers();
+    this.setupSocketConnections();
+  }
+
+  /**
+   * Forward port data and closes to the client holding the port
+   */
+  setupEventHandlers() {
+    this.usbManager.on('serialData', (port, chunk) => {
+      this.namespace.to(port.owner).emit('serial:data', {
+        type: 'serial:data',
+        path: port.path,
+        deviceId: port.deviceId,
+        data: chunk,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.usbManager.on('serialClosed', (port, reason) => {
+      this.namespace.to(port.owner).emit('serial:closed', {
+        type: 'serial:closed',
+        port: port,
+        reason: reason,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  setupSocketConnections() {
+    this.namespace.on('connection', (socket) => {
+      logger.info(`Serial client connected: ${socket.id}`);
+
+      this.setupClientHandlers(socket);
+
+      socket.on('disconnect', () => {
+        this.usbManager.closeSerialPortsOf(socket.id).catch(error => {
+          logger.warn(`Failed to release serial ports of ${socket.id}: ${error.message}`);
+        });
+        logger.info(`Serial client disconnected: ${socket.id}`);
+      });
+    });
+  }
+
+  setupClientHandlers(socket) {
+    // Serial ports of one device, or of every device that has any
+    socket.on('serial:list', async (data) => {
+      try {
+        const ports = data?.deviceId
+          ? (await this.usbManager.getDeviceSerialPorts(data.deviceId)).map(port => ({ ...port, deviceId: data.deviceId }))
+          : await this.usbManager.listSerialPorts();
+
+        socket.emit('serial:ports', {
+          type: 'serial:ports',
+          ports: ports,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        this.sendError(socket, 'Failed to list serial ports', error);
+      }
+    });
+
+    socket.on('serial:open', async (data) => {
+      try {
+        const { deviceId, ...options } = data || {};
+        const port = await this.usbManager.openSerialPort(deviceId, socket.id, options);
+
+        socket.emit('serial:opened', {
+          type: 'serial:opened',
+          port: port,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        this.sendError(socket, 'Failed to open serial port', error, data);
+      }
+    });
+
+    socket.on('serial:write', async (data) => {
+      try {
+        const payload = typeof data?.data === 'string'
+          ? Buffer.from(data.data, data.encoding || 'utf8')
+          : Buffer.from(data?.data || []);
+        await this.usbManager.writeSerialPort(data?.path, socket.id, payload);
+      } catch (error) {
+        this.sendError(socket, 'Failed to write to serial port', error, data);
+      }
+    });
+
+    socket.on('serial:close', async (data) => {
+      try {
+        await this.usbManager.closeSerialPort(data?.path, socket.id);
+      } catch (error) {
+        this.sendError(socket, 'Failed to close serial port', error, data);
+      }
+    });
+  }
+
+  sendError(socket, message, error, data = null) {
+    logger.warn(`${message} (${socket.id}): ${error.message}`);
+    socket.emit('serial:error', {
+      type: 'serial:error',
+      message: message,
+      error: error.message,
+      code: error.code || null,
+      path: data?.path || null,
+      deviceId: data?.deviceId || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = SerialHandler;
@@ -33,6 +33,173 @@ class SocketHandler {
         timestamp: new Date().toISOString()
       });
     });
+
+    // Handle devices ejected through the service (ahead of the disconnect)
+    this.usbManager.on('deviceEjected', (event) => {
+      logger.info(`Broadcasting device ejected: ${event.device.id}`);
+      this.io.emit('device:ejected', {
+        type: 'device:ejected',
+        device: event.device,
+        volumes: event.volumes,
+        unmounted: event.unmounted,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle device attribute changes
+    this.usbManager.on('deviceUpdated', (event) => {
+      logger.info(`Broadcasting device updated: ${event.device.id}`);
+      this.io.emit('device:updated', {
+        type: 'device:updated',
+        device: event.device,
+        changes: event.changes,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle devices starting or stopping to flap
+    this.usbManager.on('deviceFlapping', (event) => {
+      logger.info(`Broadcasting device flapping (${event.flapping}): ${event.device.id}`);
+      this.io.emit('device:flapping', {
+        type: 'device:flapping',
+        device: event.device,
+        flapping: event.flapping,
+        toggles: event.toggles,
+        windowMs: event.windowMs,
+        startedAt: event.startedAt,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle write progress and completion
+    this.usbManager.on('writeProgress', (transfer) => {
+      this.io.emit('usb:write:progress', {
+        type: 'usb:write:progress',
+        transfer: transfer,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.usbManager.on('writeComplete', (transfer) => {
+      logger.info(`Broadcasting write ${transfer.status}: ${transfer.id}${transfer.hash ? ` (sha256 ${transfer.hash})` : ''}`);
+      this.io.emit('usb:write:complete', {
+        type: 'usb:write:complete',
+        transfer: transfer,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle auto-ingest runs
+    this.usbManager.on('ingestStarted', (run) => {
+      logger.info(`Broadcasting ingest started: ${run.id} (${run.deviceId})`);
+      this.io.emit('ingest:started', {
+        type: 'ingest:started',
+        run: run,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.usbManager.on('ingestProgress', (event) => {
+      this.io.emit('ingest:progress', {
+        type: 'ingest:progress',
+        run: event.run,
+        file: event.file,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.usbManager.on('ingestCompleted', (run) => {
+      logger.info(`Broadcasting ingest ${run.status}: ${run.id} (${run.deviceId})`);
+      this.io.emit('ingest:completed', {
+        type: 'ingest:completed',
+        run: run,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle file changes on watched volumes (file:added/changed/removed)
+    this.usbManager.on('fileChanged', (change) => {
+      const event = `file:${change.event}`;
+      this.io.emit(event, {
+        type: event,
+        deviceId: change.deviceId,
+        volume: change.volume,
+        path: change.path,
+        directory: change.directory,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle periodic storage capacity refreshes
+    this.usbManager.on('storageCapacity', (devices) => {
+      this.io.emit('storage:capacity', {
+        type: 'storage:capacity',
+        devices: devices,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle hubs going over their power budget
+    this.usbManager.on('powerOverBudget', (hub) => {
+      logger.warn(`Broadcasting power over budget: ${hub.id || hub.portPath}`);
+      this.io.emit('power:overbudget', {
+        type: 'power:overbudget',
+        hub: hub,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle devices the policy denies or flags
+    this.usbManager.on('policyViolation', ({ device, verdict, rule }) => {
+      logger.warn(`Broadcasting policy ${verdict}: ${device.id}`);
+      this.io.emit('policy:violation', {
+        type: 'policy:violation',
+        device: device,
+        verdict: verdict,
+        rule: rule,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle devices and interfaces (de)authorized by policy enforcement
+    this.usbManager.on('policyEnforced', ({ device, ...action }) => {
+      this.io.emit('policy:enforced', {
+        type: 'policy:enforced',
+        device: device,
+        ...action,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.usbManager.on('monitoringChanged', (status) => {
+      this.io.emit('monitoring:update', {
+        type: 'monitoring:update',
+        status: status,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle automatic backend failover
+    this.usbManager.on('monitoringFailover', (event) => {
+      logger.warn(`Broadcasting monitoring failover: ${event.from} -> ${event.to}`);
+      this.io.emit('monitoring:failover', {
+        type: 'monitoring:failover',
+        from: event.from,
+        to: event.to,
+        reason: event.reason,
+        consecutiveFailures: event.consecutiveFailures,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Handle topology changes
+    this.usbManager.on('topologyUpdated', (topology) => {
+      this.io.emit('topology:update', {
+        type: 'topology:update',
+        topology: topology,
+        timestamp: new Date().toISOString()
+      });
+    });
   }
 
   /**
@@ -104,9 +271,9 @@ class SocketHandler {
    */
   setupClientHandlers(socket) {
     // Handle device list request
-    socket.on('devices:get', async () => {
+    socket.on('devices:get', async (data) => {
       try {
-        const devices = this.usbManager.getDevices();
+        const devices = this.usbManager.getDevices({ category: data?.category });
         socket.emit('devices:list', {
           type: 'devices:list',
           devices: devices,
@@ -149,12 +316,14 @@ class SocketHandler {
     socket.on('history:get', (data) => {
       try {
         const limit = data?.limit || 50;
-        const history = this.usbManager.getHistory(limit);
+        const deviceId = data?.deviceId || null;
+        const history = this.usbManager.getHistory(limit, deviceId);
         
         socket.emit('history:list', {
           type: 'history:list',
           history: history,
           limit: limit,
+          deviceId: deviceId,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -186,6 +355,116 @@ class SocketHandler {
       }
     });
 
+    // Handle topology request
+    socket.on('topology:get', () => {
+      try {
+        const topology = this.usbManager.getTopology();
+        socket.emit('topology:update', {
+          type: 'topology:update',
+          topology: topology,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error handling topology:get:', error);
+        socket.emit('error', {
+          type: 'error',
+          message: 'Failed to get topology',
+          error: error.message
+        });
+      }
+    });
+
+    // Handle transfer cancellation
+    socket.on('usb:write:cancel', (data) => {
+      if (!this.usbManager.cancelTransfer(data?.transferId)) {
+        socket.emit('error', {
+          type: 'error',
+          message: 'Failed to cancel transfer',
+          error: `No transfer in progress with ID: ${data?.transferId}`
+        });
+      }
+    });
+
+    // Handle power report request
+    socket.on('power:get', () => {
+      try {
+        const power = this.usbManager.getPowerReport();
+        socket.emit('power:update', {
+          type: 'power:update',
+          power: power,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error handling power:get:', error);
+        socket.emit('error', {
+          type: 'error',
+          message: 'Failed to get power report',
+          error: error.message
+        });
+      }
+    });
+
+    // Handle storage capacity request
+    socket.on('storage:get', () => {
+      try {
+        socket.emit('storage:capacity', {
+          type: 'storage:capacity',
+          devices: this.usbManager.getStorageCapacity(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error handling storage:get:', error);
+        socket.emit('error', {
+          type: 'error',
+          message: 'Failed to get storage capacity',
+          error: error.message
+        });
+      }
+    });
+
+    // Handle monitoring control (status is broadcast via monitoring:update)
+    socket.on('monitoring:start', () => {
+      try {
+        this.usbManager.startMonitoring();
+      } catch (error) {
+        logger.error('Error handling monitoring:start:', error);
+        socket.emit('error', {
+          type: 'error',
+          message: 'Failed to start monitoring',
+          error: error.message
+        });
+      }
+    });
+
+    socket.on('monitoring:stop', () => {
+      try {
+        this.usbManager.stopMonitoring();
+      } catch (error) {
+        logger.error('Error handling monitoring:stop:', error);
+        socket.emit('error', {
+          type: 'error',
+          message: 'Failed to stop monitoring',
+          error: error.message
+        });
+      }
+    });
+
+    socket.on('monitoring:configure', async (data) => {
+      try {
+        await this.usbManager.configureMonitoring({
+          method: data?.method,
+          interval: data?.interval
+        });
+      } catch (error) {
+        logger.error('Error handling monitoring:configure:', error);
+        socket.emit('error', {
+          type: 'error',
+          message: 'Failed to configure monitoring',
+          error: error.message
+        });
+      }
+    });
+
     // Handle ping for connection testing
     socket.on('ping', (data) => {
       socket.emit('pong', {
@@ -1,21 +1,171 @@
 const EventEmitter = require('events');
-const { exec, spawn } = require('child_process');
+const { exec, execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const { Readable } = require('stream');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./utils/logger');
+const sysfs = require('./utils/sysfs');
+const blockDevices = require('./utils/block-devices');
+const serialPorts = require('./utils/serial-ports');
+const SerialManager = require('./utils/serial-manager');
+const volumeFiles = require('./utils/volume-files');
+const TransferManager = require('./utils/transfer-manager');
+const IngestManager = require('./utils/ingest-manager');
+const VolumeWatcher = require('./utils/volume-watcher');
+const UsbTransport = require('./utils/usb-transport');
+const { parseUsbId, matchesDeviceRule } = require('./utils/device-match');
+const { writeAtomic } = require('./utils/atomic-write');
+const { POLICY_FIELDS, normalizePolicy, evaluatePolicy } = require('./utils/policy');
+const authorization = require('./utils/usb-authorization');
+const backends = require('./backends');
+const descriptors = require('./utils/descriptors');
+const { USB_CLASSES, classifyDevice, hasInterfaceClass } = require('./utils/classification');
+const { USBIdsDatabase, DEFAULT_USB_IDS_PATH, findUSBIdsPath } = require('./utils/usb-ids');
+const { buildTopology } = require('./utils/topology');
+const { buildPowerReport } = require('./utils/power');
+const FlapDetector = require('./utils/flap-detector');
+const { diffDevice } = require('./utils/device-diff');
+const { formatPortPath, generateStableId, generateTransientId, assignIdentity } = require('./utils/device-identity');
 const { log } = require('console');
 const { usb } = require('usb');
 
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * Default command runner for system tools (sync, umount): resolves with
+ * { stdout, stderr } and rejects when the command fails
+ */
+function runCommand(command, args = []) {
+  return execFileAsync(command, args);
+}
+
+/**
+ * Read a numeric option, falling back when it is unset or not a number
+ */
+function numberOption(value, fallback) {
+  if (value === undefined || value === null || value === '' || isNaN(Number(value))) {
+    return fallback;
+  }
+  return Number(value);
+}
+
+// Lower bound for runtime polling interval changes
+const MIN_POLL_INTERVAL = 100;
+
 class RobustUSBManager extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.options = options;
     this.devices = new Map();
     this.isMonitoring = false;
     this.connectionHistory = [];
     this.monitoringMethod = null;
-    this.pollingInterval = null;
+    this.backend = null;
     this.lastDeviceList = [];
 
+    // Linux sysfs monitoring (root is configurable so a fake tree can be used)
+    this.sysfsRoot = options.sysfsRoot || process.env.USB_SYSFS_ROOT || '/sys';
+
+    // Polling interval override for polling backends (null uses the backend default)
+    this.pollInterval = numberOption(options.pollInterval ?? options.interval ?? process.env.USB_POLL_INTERVAL, null);
+
+    // Per-backend health, and consecutive failures before failing over
+    this.backendHealth = new Map();
+    this.failoverThreshold = numberOption(options.failoverThreshold ?? process.env.USB_FAILOVER_THRESHOLD, 3);
+    this.failingOver = false;
+
+    // Root for /proc/mounts, /dev/disk and the udev database (volume mapping)
+    this.storageRoot = options.storageRoot || process.env.USB_STORAGE_ROOT || '/';
+    this.volumeRefreshInterval = numberOption(options.volumeRefreshInterval ?? process.env.USB_VOLUME_REFRESH_INTERVAL, 5000);
+    this.volumeTimer = null;
+
+    // In-flight writes to devices (progress, cancellation)
+    this.transfers = new TransferManager({
+      progressInterval: numberOption(options.transferProgressInterval ?? process.env.USB_TRANSFER_PROGRESS_INTERVAL, 250)
+    });
+    this.transfers.on('progress', (transfer) => this.emit('writeProgress', transfer));
+    this.transfers.on('complete', (transfer) => this.emit('writeComplete', transfer));
+
+    // Runs sync/umount when ejecting; replaceable for testing
+    this.commandRunner = options.commandRunner || runCommand;
+    this.ejecting = new Set();
+
+    // Rules that copy files off matching volumes when they are mounted
+    this.ingest = new IngestManager({ rules: this.parseIngestRules(options.ingestRules || process.env.USB_INGEST_RULES) });
+    this.ingest.on('started', (run) => this.emit('ingestStarted', run));
+    this.ingest.on('progress', (run, file) => this.emit('ingestProgress', { run, file }));
+    this.ingest.on('completed', (run) => {
+      logger.info(`Ingest ${run.id} (${run.ruleId}) ${run.status}: ${run.copied} copied, ${run.duplicates} duplicate, ${run.failed} failed`);
+      this.emit('ingestCompleted', run);
+    });
+    // "<device id>|<volume>|<mount point>" already ingested while connected
+    this.ingestedVolumes = new Set();
+
+    // Serial ports opened by clients (exclusive per port)
+    this.serial = new SerialManager({ openPort: options.serialOpenPort });
+    this.serial.on('data', (port, chunk) => this.emit('serialData', port, chunk));
+    this.serial.on('closed', (port, reason) => {
+      logger.info(`Serial port ${port.path} closed: ${reason}`);
+      this.emit('serialClosed', port, reason);
+    });
+
+    // Raw control/bulk transfers, only to allowlisted VID/PIDs
+    this.rawTransferAllowlist = this.parseRawTransferAllowlist(
+      options.rawTransferAllowlist || process.env.USB_RAW_TRANSFER_ALLOWLIST
+    );
+    this.rawTransferTimeout = numberOption(options.rawTransferTimeout ?? process.env.USB_RAW_TRANSFER_TIMEOUT, 1000);
+    this.usbTransport = options.usbTransport || null;
+    this.rawTransferQueues = new Map();
+
+    // Allow/deny/alert policy every connecting device is evaluated against
+    this.policyFile = options.policyFile || process.env.USB_POLICY_FILE || null;
+    this.policy = this.loadPolicy(options.policy);
+
+    // Enforcement through sysfs `authorized` (Linux): deny verdicts unbind the
+    // device, and with holding new devices start unauthorized until allowed or approved
+    this.policyEnforce = String(options.policyEnforce ?? process.env.USB_POLICY_ENFORCE) === 'true';
+    this.policyHoldNew = String(options.policyHoldNew ?? process.env.USB_POLICY_HOLD_NEW) === 'true';
+    // Deauthorizing a hub cuts off everything below it, so denied hubs are only tagged unless opted in
+    this.policyDenyHubs = String(options.policyDenyHubs ?? process.env.USB_POLICY_DENY_HUBS) === 'true';
+    // Stable IDs of held devices approved through the API
+    this.approvedDevices = new Set();
+
+    // File-change watching of mounted volumes, per device or by rule
+    this.watchRules = this.parseRuleList(options.watchRules || process.env.USB_WATCH_RULES, 'USB_WATCH_RULES');
+    this.watchedDevices = new Set();
+    this.volumeWatcher = new VolumeWatcher({
+      stabilityMs: numberOption(options.watchStabilityMs ?? process.env.USB_WATCH_STABILITY_MS, 500),
+      usePolling: String(options.watchPolling ?? process.env.USB_WATCH_POLLING) === 'true'
+    });
+    this.volumeWatcher.on('change', (change) => this.emit('fileChanged', change));
+    this.volumeWatcher.on('error', (error, watch) => {
+      logger.warn(`File watcher on ${watch.mountPoint} (${watch.deviceId}) failed: ${error.message}`);
+    });
+
+    // Per-hub power budgets in mA, keyed by hub ID or port path
+    this.powerBudgets = this.parsePowerBudgets(options.powerBudgets || process.env.USB_POWER_BUDGETS);
+    this.overBudgetHubs = new Set();
+
+    // Parsed lsusb blocks and sysfs descriptor trees, reused while unchanged
+    this.lsusbCache = new Map();
+    this.descriptorCache = new Map();
+
+    // Vendor/product/class names: a configured path, else the system usb.ids,
+    // falling back to the bundled subset
+    this.usbIds = new USBIdsDatabase();
+    this.loadUSBIds(options.usbIdsPath || process.env.USB_IDS_PATH || findUSBIdsPath());
+
+    // Debouncing of quick reconnects and flap suppression
+    this.debounceMs = numberOption(options.debounceMs ?? process.env.USB_DEBOUNCE_MS, 1000);
+    this.flapDetector = new FlapDetector({
+      threshold: numberOption(options.flapThreshold ?? process.env.USB_FLAP_THRESHOLD, 6),
+      windowMs: numberOption(options.flapWindowMs ?? process.env.USB_FLAP_WINDOW_MS, 60000)
+    });
+    this.pendingDisconnects = new Map();
+    this.flapSettleTimers = new Map();
+
     // Try to load USB libraries
     this.usbLib = null;
     this.usbDetection = null;
@@ -28,25 +178,184 @@ class RobustUSBManager extends EventEmitter {
   loadUSBLibraries() {
     try {
       this.usbDetection = require('node-usb-detection');
-      this.monitoringMethod = 'node-usb-detection';
-      logger.info('Using node-usb-detection for USB monitoring');
+      logger.info('node-usb-detection available for USB monitoring');
     } catch (error) {
       logger.warn('node-usb-detection not available:', error.message);
     }
 
     try {
       this.usbLib = require('usb');
-      if (!this.monitoringMethod) {
-        this.monitoringMethod = 'usb-polling';
-        logger.info('Using usb library with polling for USB monitoring');
-      }
     } catch (error) {
       logger.warn('usb library not available:', error.message);
     }
 
-    if (!this.monitoringMethod) {
-      this.monitoringMethod = 'system-polling';
-      logger.info('Using system command polling for USB monitoring');
+    const requestedMethod = this.options.monitoringMethod || process.env.USB_MONITORING_METHOD;
+    if (requestedMethod && backends.getBackend(requestedMethod)) {
+      this.setBackend(requestedMethod);
+    } else {
+      if (requestedMethod) {
+        logger.warn(`Unknown monitoring method ${requestedMethod}, selecting automatically`);
+      }
+      const method = backends.listBackends()
+        .find(name => backends.getBackend(name).isAvailable(this)) || 'system-polling';
+      this.setBackend(method);
+    }
+
+    logger.info(`Using ${this.monitoringMethod} for USB monitoring`);
+  }
+
+  /**
+   * Create the backend for a monitoring method and route its events
+   */
+  setBackend(method) {
+    const Backend = backends.getBackend(method);
+    if (!Backend) {
+      throw new Error(`Unknown monitoring method: ${method}`);
+    }
+
+    if (this.backend) {
+      this.backend.stop();
+      this.backend.removeAllListeners();
+    }
+
+    this.backend = new Backend(this, { ...this.options, interval: this.pollInterval });
+    // Event-driven backends never poll, so any device event counts as a success
+    this.backend.on('connect', (device) => {
+      this.recordBackendSuccess(method);
+      this.handleDeviceConnect(device);
+    });
+    this.backend.on('disconnect', (device) => {
+      this.recordBackendSuccess(method);
+      this.handleDeviceDisconnect(device);
+    });
+    this.backend.on('update', (device) => {
+      this.recordBackendSuccess(method);
+      this.handleDeviceUpdate(device);
+    });
+    this.backend.on('poll', () => this.recordBackendSuccess(method));
+    this.backend.on('error', (error) => {
+      logger.error(`Error in ${method} monitoring:`, error);
+      this.recordBackendFailure(method, error);
+    });
+    this.monitoringMethod = method;
+  }
+
+  /**
+   * Get (creating if needed) the health record for a monitoring method
+   */
+  getBackendHealth(method) {
+    if (!this.backendHealth.has(method)) {
+      this.backendHealth.set(method, {
+        method: method,
+        status: 'healthy',
+        consecutiveFailures: 0,
+        errorCount: 0,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+        failovers: 0
+      });
+    }
+    return this.backendHealth.get(method);
+  }
+
+  recordBackendSuccess(method) {
+    const health = this.getBackendHealth(method);
+    health.consecutiveFailures = 0;
+    health.status = 'healthy';
+    health.lastSuccessAt = new Date().toISOString();
+  }
+
+  /**
+   * Count a backend failure and fail over once the threshold is reached
+   */
+  recordBackendFailure(method, error) {
+    const health = this.getBackendHealth(method);
+    health.consecutiveFailures++;
+    health.errorCount++;
+    health.lastError = error.message;
+    health.lastErrorAt = new Date().toISOString();
+    health.status = health.consecutiveFailures >= this.failoverThreshold ? 'failed' : 'degraded';
+
+    if (health.status === 'failed' && method === this.monitoringMethod && this.isMonitoring) {
+      this.failover(error).catch(failoverError => {
+        logger.error('Monitoring failover failed:', failoverError);
+      });
+    }
+  }
+
+  /**
+   * Next available backend after the current one in priority order,
+   * skipping failed ones. Never fails over into simulated devices.
+   */
+  getFailoverMethod() {
+    const methods = backends.listBackends();
+    const index = methods.indexOf(this.monitoringMethod);
+    const ordered = methods.slice(index + 1).concat(methods.slice(0, Math.max(index, 0)));
+
+    return ordered.find(method =>
+      method !== 'simulated' &&
+      backends.getBackend(method).isAvailable(this) &&
+      this.getBackendHealth(method).status !== 'failed'
+    ) || null;
+  }
+
+  /**
+   * Switch away from a failing backend
+   */
+  async failover(error) {
+    if (this.failingOver) return;
+
+    const from = this.monitoringMethod;
+    const to = this.getFailoverMethod();
+    if (!to) {
+      logger.error(`Monitoring method ${from} is failing and no other method is available`);
+      return;
+    }
+
+    this.failingOver = true;
+    try {
+      logger.warn(`Failing over USB monitoring from ${from} to ${to}: ${error.message}`);
+      this.getBackendHealth(from).failovers++;
+
+      try {
+        await this.configureMonitoring({ method: to });
+      } catch (configureError) {
+        // Monitoring continues with the new backend; its own failures fail over again
+        this.recordBackendFailure(to, configureError);
+      }
+
+      this.emit('monitoringFailover', {
+        from: from,
+        to: this.monitoringMethod,
+        reason: error.message,
+        consecutiveFailures: this.getBackendHealth(from).consecutiveFailures
+      });
+    } finally {
+      this.failingOver = false;
+    }
+  }
+
+  /**
+   * Register a custom monitoring backend (see src/backends)
+   */
+  static registerBackend(name, Backend) {
+    backends.registerBackend(name, Backend);
+  }
+
+  /**
+   * Load the usb.ids database, falling back to the bundled subset (and
+   * then an empty database) if the file is unreadable
+   */
+  loadUSBIds(filePath) {
+    try {
+      this.usbIds.load(filePath);
+      logger.info(`Loaded usb.ids from ${filePath} (${this.usbIds.vendors.size} vendors)`);
+    } catch (error) {
+      logger.warn(`Could not load usb.ids from ${filePath}: ${error.message}`);
+      if (filePath !== DEFAULT_USB_IDS_PATH) {
+        this.loadUSBIds(DEFAULT_USB_IDS_PATH);
+      }
     }
   }
 
@@ -57,8 +366,27 @@ class RobustUSBManager extends EventEmitter {
     try {
       logger.info(`Initializing USB Manager with method: ${this.monitoringMethod}`);
 
-      // Get initial device list
-      await this.refreshDeviceList();
+      if (this.policyEnforce && this.policyHoldNew) {
+        await this.holdNewDevices();
+      } else {
+        await this.releaseNewDevices();
+      }
+
+      // Get initial device list; a failing backend is failed over once monitoring runs
+      try {
+        await this.refreshDeviceList();
+      } catch (error) {
+        logger.warn(`Initial device enumeration with ${this.monitoringMethod} failed: ${error.message}`);
+        this.recordBackendFailure(this.monitoringMethod, error);
+      }
+
+      // Map volumes and serial ports of the devices already present
+      try {
+        await this.refreshVolumes();
+        await this.refreshSerialPorts();
+      } catch (error) {
+        logger.warn(`Initial volume and serial port mapping failed: ${error.message}`);
+      }
 
       // Start monitoring for device changes
       this.startMonitoring();
@@ -81,133 +409,99 @@ class RobustUSBManager extends EventEmitter {
     }
 
     try {
-      switch (this.monitoringMethod) {
-        case 'node-usb-detection':
-          this.startNativeMonitoring();
-          break;
-        case 'usb-polling':
-          this.startUSBPolling();
-          break;
-        case 'system-polling':
-          this.startSystemPolling();
-          break;
-      }
+      this.backend.start();
 
       this.isMonitoring = true;
+      this.startVolumeRefresh();
       logger.info(`USB monitoring started with method: ${this.monitoringMethod}`);
     } catch (error) {
       logger.error('Failed to start USB monitoring:', error);
       // Try fallback method
-      this.startSystemPolling();
+      this.setBackend('system-polling');
+      this.backend.start();
       this.isMonitoring = true;
+      this.startVolumeRefresh();
     }
+
+    this.emit('monitoringChanged', this.getStatus());
   }
 
   /**
-   * Start native USB monitoring using node-usb-detection
+   * Check a runtime monitoring change, returning an error message or null
    */
-  startNativeMonitoring() {
-    if (!this.usbDetection) {
-      throw new Error('node-usb-detection not available');
+  validateMonitoringConfig({ method, interval } = {}) {
+    if (method !== undefined) {
+      const Backend = typeof method === 'string' ? backends.getBackend(method) : null;
+      if (!Backend) {
+        return `Unknown monitoring method: ${method}`;
+      }
+      if (!Backend.isAvailable(this)) {
+        return `Monitoring method ${method} is not available`;
+      }
     }
 
-    this.usbDetection.on('add', (device) => {
-      this.handleDeviceConnect(device);
-    });
-
-    this.usbDetection.on('remove', (device) => {
-      this.handleDeviceDisconnect(device);
-    });
-
-    this.usbDetection.startMonitoring();
-  }
-
-  /**
-   * Start USB monitoring using usb library with polling
-   */
-  startUSBPolling() {
-    if (!this.usbLib) {
-      throw new Error('usb library not available');
+    if (interval !== undefined && interval !== null &&
+      (!Number.isInteger(interval) || interval < MIN_POLL_INTERVAL)) {
+      return `Interval must be an integer of at least ${MIN_POLL_INTERVAL}ms, or null for the default`;
     }
 
-    this.pollingInterval = setInterval(() => {
-      this.pollUSBDevices();
-    }, 2000); // Poll every 2 seconds
+    return null;
   }
 
   /**
-   * Start system-level USB monitoring using OS commands
+   * Switch the monitoring method and/or change the polling interval
+   * without restarting the process. Monitoring keeps its running state.
    */
-  startSystemPolling() {
-    this.pollingInterval = setInterval(() => {
-      this.pollSystemUSBDevices();
-    }, 3000); // Poll every 3 seconds
-  }
+  async configureMonitoring({ method, interval } = {}) {
+    const validationError = this.validateMonitoringConfig({ method, interval });
+    if (validationError) {
+      throw new Error(validationError);
+    }
 
-  /**
-   * Poll USB devices using usb library
-   */
-  async pollUSBDevices() {
-    try {
-      const currentDevices = this.usbLib.getDeviceList();
-      const currentDeviceIds = currentDevices.map(device =>
-        this.generateDeviceIdFromUSB(device)
-      );
+    if (interval !== undefined) {
+      this.pollInterval = interval;
+    }
 
-      // Check for new devices
-      currentDevices.forEach(async (device) => {
-        const deviceId = this.generateDeviceIdFromUSB(device);
-        if (!this.devices.has(deviceId)) {
-          const deviceInfo = await this.enrichUSBDeviceInfo(device, 'connected');
-          this.handleDeviceConnect(deviceInfo);
-        }
-      });
+    if (method !== undefined && method !== this.monitoringMethod) {
+      const wasMonitoring = this.isMonitoring;
+      this.stopMonitoring();
+      this.setBackend(method);
 
-      // Check for removed devices
-      this.devices.forEach((device, deviceId) => {
-        if (!currentDeviceIds.includes(deviceId) && device.status === 'connected') {
-          this.handleDeviceDisconnect(device);
+      // Re-enumerate so the device map matches what the new backend reports;
+      // monitoring resumes on the new backend even if that fails
+      try {
+        await this.refreshDeviceList();
+        this.emitTopologyUpdate();
+      } finally {
+        if (wasMonitoring) {
+          this.startMonitoring();
         }
-      });
-
-    } catch (error) {
-      logger.error('Error polling USB devices:', error);
+      }
+    } else if (interval !== undefined && this.backend.setPollInterval) {
+      this.backend.setPollInterval(interval);
     }
+
+    logger.info(`USB monitoring configured: ${this.monitoringMethod}, interval ${this.getPollInterval() || 'n/a'}`);
+    this.emit('monitoringChanged', this.getStatus());
+    return this.getStatus();
   }
 
   /**
-   * Poll USB devices using system commands
+   * Current polling interval (null for backends that never poll)
    */
-  async pollSystemUSBDevices() {
-    try {
-      const currentDevices = await this.getSystemUSBDevices();
-      const currentDeviceIds = currentDevices.map(device => device.id);
-
-      // Check for new devices
-      currentDevices.forEach(device => {
-        if (!this.devices.has(device.id)) {
-          this.handleDeviceConnect(device);
-        }
-      });
-
-      // Check for removed devices
-      this.devices.forEach((device, deviceId) => {
-        if (!currentDeviceIds.includes(deviceId) && device.status === 'connected') {
-          this.handleDeviceDisconnect(device);
-        }
-      });
-
-    } catch (error) {
-      logger.error('Error polling system USB devices:', error);
-    }
+  getPollInterval() {
+    return this.backend && this.backend.interval ? this.backend.interval : null;
   }
 
   /**
    * Get USB devices using system commands
    */
   async getSystemUSBDevices() {
+    const platform = process.platform;
+    // lsusb only reports bus addresses; sysfs maps them to port paths
+    const portPaths = platform === 'linux' ? await this.getSysfsPortPaths() : new Map();
+
     return new Promise((resolve, reject) => {
-      const platform = process.platform;
       let command;
 
       switch (platform) {
@@ -225,13 +519,13 @@ class RobustUSBManager extends EventEmitter {
       }
 
       exec(command, (error, stdout, stderr) => {
+        // Reject rather than report an empty bus, so pollers count the failure
         if (error) {
-          logger.warn(`System USB command failed: ${error.message}`);
-          return resolve([]);
+          return reject(new Error(`System USB command failed: ${error.message}`));
         }
 
         try {
-          const devices = this.parseSystemUSBOutput(stdout, platform);
+          const devices = this.parseSystemUSBOutput(stdout, platform, portPaths);
           resolve(devices);
         } catch (parseError) {
           logger.error('Error parsing system USB output:', parseError);
@@ -244,7 +538,7 @@ class RobustUSBManager extends EventEmitter {
   /**
    * Parse system USB command output
    */
-  parseSystemUSBOutput(output, platform) {
+  parseSystemUSBOutput(output, platform, portPaths = new Map()) {
     const devices = [];
 
     try {
@@ -254,7 +548,7 @@ class RobustUSBManager extends EventEmitter {
           return this.parseMacUSBOutput(output);
         case 'linux':
           console.log('Parsing Linux USB output');
-          return this.parseLinuxUSBOutput(output);
+          return this.parseLinuxUSBOutput(output, portPaths);
         case 'win32':
           console.log('Parsing Windows USB output');
           return this.parseWindowsUSBOutput(output);
@@ -277,25 +571,43 @@ class RobustUSBManager extends EventEmitter {
       const data = JSON.parse(output);
       const usbData = data.SPUSBDataType || [];
 
-      const extractDevices = (items, busNumber = 0) => {
-        items.forEach((item, index) => {
+      // Nesting in _items is kept as parentId so the topology can be rebuilt
+      const extractDevices = (items, parentId = null) => {
+        items.forEach((item) => {
+          let device = null;
+
           if (item._name && item._name !== 'USB Bus') {
-            const device = {
-              id: `mac-${busNumber}-${index}-${item.product_id || 'unknown'}`,
+            // location_id looks like "0x14200000 / 5": the port path, then the address.
+            // Below the bus byte, each nibble is one port number (e.g. 0x14210000 -> 2.1).
+            const [locationId, address] = (item.location_id || '').split('/').map(part => part.trim());
+            const location = parseInt(locationId, 16);
+            const ports = isNaN(location)
+              ? []
+              : (location & 0xffffff).toString(16).padStart(6, '0').replace(/0+$/, '').split('').map(n => parseInt(n, 16));
+
+            device = this.resolveUSBIds(assignIdentity({
               vendorId: parseInt(item.vendor_id, 16) || 0,
               productId: parseInt(item.product_id, 16) || 0,
               serialNumber: item.serial_num || null,
               manufacturer: item.manufacturer || 'Unknown',
               productName: item._name,
+              busNumber: isNaN(location) ? null : location >>> 24,
+              deviceAddress: address ? parseInt(address, 10) : null,
+              portPath: locationId || null,
+              parentId: parentId,
+              port: ports.length > 0 ? ports[ports.length - 1] : null,
+              speed: null,
+              speedMbps: null,
               status: 'connected',
               connectedAt: new Date().toISOString(),
-              lastSeen: new Date().toISOString()
-            };
+              lastSeen: new Date().toISOString(),
+              ...descriptors.emptyTree()
+            }));
             devices.push(device);
           }
 
           if (item._items) {
-            extractDevices(item._items, busNumber);
+            extractDevices(item._items, device ? device.id : parentId);
           }
         });
       };
@@ -309,33 +621,59 @@ class RobustUSBManager extends EventEmitter {
   }
 
   /**
-   * Parse Linux lsusb output
+   * Parse Linux lsusb output. `portPaths` maps "<bus>-<address>" to the
+   * sysfs port path, so devices without a serial keep a stable ID.
    */
-  parseLinuxUSBOutput(output) {
-    const devices = [];
-    const lines = output.split('\n');
+  parseLinuxUSBOutput(output, portPaths = new Map()) {
+    const blocks = [];
 
-    lines.forEach((line, index) => {
+    output.split('\n').forEach(line => {
       const match = line.match(/Bus (\d+) Device (\d+): ID ([0-9a-f]{4}):([0-9a-f]{4})\s*(.+)/i);
       if (match) {
-        const [, bus, deviceNum, vendorId, productId, description] = match;
+        blocks.push({ match, lines: [] });
+      } else if (blocks.length > 0) {
+        blocks[blocks.length - 1].lines.push(line);
+      }
+    });
 
-        const device = {
-          id: `linux-${bus}-${deviceNum}-${vendorId}-${productId}`,
+    // Unchanged blocks are not parsed again; the cache only keeps this poll's blocks
+    const now = new Date().toISOString();
+    const cache = new Map();
+
+    const devices = blocks.map(({ match, lines }) => {
+      const [, bus, deviceNum, vendorId, productId, description] = match;
+      const portPath = portPaths.get(`${parseInt(bus, 10)}-${parseInt(deviceNum, 10)}`) || null;
+      // A reused bus address can come back on another port
+      const key = `${portPath}\n${match[0]}\n${lines.join('\n')}`;
+      let device = this.lsusbCache.get(key);
+
+      if (!device) {
+        // lsusb -v prints the full descriptor tree below each summary line
+        const tree = descriptors.fromLsusbVerbose(lines);
+        const strings = tree ? tree.strings : {};
+        if (tree) delete tree.strings;
+
+        device = this.resolveUSBIds(assignIdentity({
           vendorId: parseInt(vendorId, 16),
           productId: parseInt(productId, 16),
-          serialNumber: null,
-          manufacturer: 'Unknown',
-          productName: description.trim(),
+          serialNumber: strings.serialNumber || null,
+          manufacturer: strings.manufacturer || 'Unknown',
+          productName: strings.product || description.trim(),
+          busNumber: parseInt(bus, 10),
+          deviceAddress: parseInt(deviceNum, 10),
+          portPath: portPath,
+          speed: null,
+          speedMbps: null,
           status: 'connected',
-          connectedAt: new Date().toISOString(),
-          lastSeen: new Date().toISOString()
-        };
-
-        devices.push(device);
+          ...(tree || descriptors.emptyTree())
+        }));
       }
+
+      cache.set(key, device);
+      return { ...device, connectedAt: now, lastSeen: now };
     });
 
+    this.lsusbCache = cache;
     return devices;
   }
 
@@ -346,20 +684,31 @@ class RobustUSBManager extends EventEmitter {
     const devices = [];
     const lines = output.split('\n').slice(1); // Skip header
 
-    lines.forEach((line, index) => {
+    lines.forEach((line) => {
       const parts = line.split(',');
       if (parts.length >= 2 && parts[1].trim()) {
-        const device = {
-          id: `windows-${index}-${Date.now()}`,
-          vendorId: 0,
-          productId: 0,
-          serialNumber: null,
+        // DeviceID looks like USB\VID_046D&PID_C52B\<instance>. The instance is
+        // the serial number, or a port-derived ID (contains '&') without one.
+        const deviceId = (parts[2] || '').trim();
+        const ids = deviceId.match(/VID_([0-9a-f]{4})&PID_([0-9a-f]{4})/i);
+        const instance = deviceId.split('\\')[2] || null;
+        const hasSerial = instance && !instance.includes('&');
+
+        const device = this.resolveUSBIds(assignIdentity({
+          vendorId: ids ? parseInt(ids[1], 16) : 0,
+          productId: ids ? parseInt(ids[2], 16) : 0,
+          serialNumber: hasSerial ? instance : null,
           manufacturer: 'Unknown',
           productName: parts[1].trim(),
+          portPath: hasSerial ? null : (instance || deviceId || null),
+          instanceId: deviceId || null,
+          speed: null,
+          speedMbps: null,
           status: 'connected',
           connectedAt: new Date().toISOString(),
-          lastSeen: new Date().toISOString()
-        };
+          lastSeen: new Date().toISOString(),
+          ...descriptors.emptyTree()
+        }));
 
         devices.push(device);
       }
@@ -369,16 +718,123 @@ class RobustUSBManager extends EventEmitter {
   }
 
   /**
-   * Generate device ID from USB library device
+   * Get USB devices from sysfs
+   */
+  async getSysfsUSBDevices() {
+    const entries = await sysfs.listUSBDevices(this.sysfsRoot);
+    const devices = entries.map(attributes => this.enrichSysfsDeviceInfo(attributes, 'connected'));
+
+    // Forget descriptor trees of devices that are gone
+    const present = new Set(entries.map(attributes => attributes.sysfsPath));
+    Array.from(this.descriptorCache.keys())
+      .filter(key => !present.has(key))
+      .forEach(key => this.descriptorCache.delete(key));
+
+    return devices;
+  }
+
+  /**
+   * Parse a device's raw sysfs descriptors, reusing the previous tree
+   * while the raw bytes and active configuration are unchanged
+   */
+  getSysfsDescriptorTree(attributes) {
+    if (!attributes.descriptors) {
+      return descriptors.emptyTree();
+    }
+
+    const cached = this.descriptorCache.get(attributes.sysfsPath);
+    if (cached && cached.configurationValue === attributes.configurationValue &&
+      cached.raw.equals(attributes.descriptors)) {
+      return cached.tree;
+    }
+
+    const tree = descriptors.fromRawDescriptors(attributes.descriptors, attributes.configurationValue) ||
+      descriptors.emptyTree();
+    this.descriptorCache.set(attributes.sysfsPath, {
+      raw: attributes.descriptors,
+      configurationValue: attributes.configurationValue,
+      tree: tree
+    });
+    return tree;
+  }
+
+  /**
+   * Build device info from sysfs attributes
+   */
+  enrichSysfsDeviceInfo(attributes, status = 'connected') {
+    const now = new Date().toISOString();
+    const tree = this.getSysfsDescriptorTree(attributes);
+
+    return this.resolveUSBIds(assignIdentity({
+      vendorId: attributes.vendorId,
+      productId: attributes.productId,
+      serialNumber: attributes.serial,
+      manufacturer: attributes.manufacturer || 'Unknown Manufacturer',
+      productName: attributes.product || this.getProductName(attributes.vendorId, attributes.productId),
+      busNumber: attributes.busNumber,
+      deviceAddress: attributes.deviceAddress,
+      portPath: attributes.portPath,
+      speed: attributes.speed,
+      speedMbps: attributes.speedMbps,
+      sysfsPath: attributes.sysfsPath,
+      maxChild: attributes.maxChild,
+      authorized: attributes.authorized,
+      powerState: attributes.powerState,
+      status: status,
+      connectedAt: status === 'connected' ? now : null,
+      disconnectedAt: status === 'disconnected' ? now : null,
+      lastSeen: now,
+      ...tree,
+      bcdDevice: attributes.bcdDevice ?? tree.bcdDevice,
+      bcdUSB: attributes.bcdUSB ?? tree.bcdUSB,
+      deviceClass: attributes.deviceClass ?? tree.deviceClass,
+      deviceSubClass: attributes.deviceSubClass ?? tree.deviceSubClass,
+      deviceProtocol: attributes.deviceProtocol ?? tree.deviceProtocol,
+      activeConfiguration: attributes.configurationValue ?? tree.activeConfiguration,
+      maxPower: attributes.maxPower ?? tree.maxPower
+    }));
+  }
+
+  /**
+   * sysfs port paths by "<bus>-<address>" (empty without sysfs)
+   */
+  async getSysfsPortPaths() {
+    if (!sysfs.isAvailable(this.sysfsRoot)) return new Map();
+
+    try {
+      return await sysfs.readPortPaths(this.sysfsRoot);
+    } catch (error) {
+      logger.warn(`Could not read USB port paths from sysfs: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Negotiated speed of a device from sysfs, when the port path is known there
+   */
+  async getSysfsSpeed(portPath) {
+    if (!portPath || !sysfs.isAvailable(this.sysfsRoot)) {
+      return { speed: null, speedMbps: null };
+    }
+
+    const value = await sysfs.readAttribute(path.join(sysfs.getDevicesDir(this.sysfsRoot), portPath), 'speed');
+    return {
+      speed: value === null ? null : sysfs.SPEED_NAMES[value] || null,
+      speedMbps: value === null ? null : parseFloat(value)
+    };
+  }
+
+  /**
+   * Generate the transient (bus address) device ID from USB library device
    */
   generateDeviceIdFromUSB(device) {
     const desc = device.deviceDescriptor;
-    return [
-      desc.idVendor.toString(16).padStart(4, '0'),
-      desc.idProduct.toString(16).padStart(4, '0'),
-      device.busNumber,
-      device.deviceAddress
-    ].join('-');
+    return generateTransientId({
+      vendorId: desc.idVendor,
+      productId: desc.idProduct,
+      busNumber: device.busNumber,
+      deviceAddress: device.deviceAddress
+    });
   }
 
   // Try to get string descriptor from device
@@ -403,6 +859,13 @@ class RobustUSBManager extends EventEmitter {
   async enrichUSBDeviceInfo(usbDevice, status = 'connected') {
     const desc = usbDevice.deviceDescriptor;
     const now = new Date().toISOString();
+    const location = {
+      busNumber: usbDevice.busNumber,
+      deviceAddress: usbDevice.deviceAddress,
+      portPath: formatPortPath(usbDevice.busNumber, usbDevice.portNumbers)
+    };
+    const tree = descriptors.fromUSBDevice(usbDevice);
+    const speed = await this.getSysfsSpeed(location.portPath);
 
     // Open device to read string descriptors
     try {
@@ -413,33 +876,35 @@ class RobustUSBManager extends EventEmitter {
         this.getStringDescriptor(usbDevice, desc.iProduct)
       ]);
 
-      return {
-        id: this.generateDeviceIdFromUSB(usbDevice),
+      return this.resolveUSBIds(assignIdentity({
         vendorId: desc.idVendor,
         productId: desc.idProduct,
         serialNumber: await this.getStringDescriptor(usbDevice, desc.iSerialNumber),
         manufacturer: manufacturer || 'Unknown Manufacturer',
         productName: product || this.getProductName(desc.idVendor, desc.idProduct),
+        ...location,
+        ...speed,
         status: status,
         connectedAt: status === 'connected' ? now : null,
         disconnectedAt: status === 'disconnected' ? now : null,
         lastSeen: now,
-        bcdDevice: desc.bcdDevice,
-        bcdUSB: desc.bcdUSB
-      };
+        ...tree
+      }));
     } catch (error) {
       console.error('Error processing USB device:', error);
-      return {
-        id: this.generateDeviceIdFromUSB(usbDevice),
+      return this.resolveUSBIds(assignIdentity({
         vendorId: desc.idVendor,
         productId: desc.idProduct,
         serialNumber: null,
         manufacturer: 'Unknown Manufacturer',
         productName: this.getProductName(desc.idVendor, desc.idProduct),
+        ...location,
+        ...speed,
         status: 'error',
         error: error.message,
-        lastSeen: now
-      };
+        lastSeen: now,
+        ...tree
+      }));
     } finally {
       if (usbDevice.interfaces) {
         usbDevice.close();
@@ -447,6 +912,26 @@ class RobustUSBManager extends EventEmitter {
     }
   }
 
+  /**
+   * Refresh a known device from the usb library without reopening it:
+   * location and descriptors are re-read, strings and speed are kept
+   */
+  async refreshUSBDeviceInfo(usbDevice, known) {
+    const location = {
+      busNumber: usbDevice.busNumber,
+      deviceAddress: usbDevice.deviceAddress,
+      portPath: formatPortPath(usbDevice.busNumber, usbDevice.portNumbers)
+    };
+
+    // Speed only changes on re-enumeration, which gives a new bus address
+    return {
+      ...known,
+      ...location,
+      ...descriptors.fromUSBDevice(usbDevice),
+      lastSeen: new Date().toISOString()
+    };
+  }
+
   /**
    * Handle device connection (unified method)
    */
@@ -457,11 +942,57 @@ class RobustUSBManager extends EventEmitter {
         deviceInfo = this.enrichDeviceInfo(deviceInfo, 'connected');
       }
 
+      deviceInfo.category = classifyDevice(deviceInfo);
+      deviceInfo.policy = this.evaluateDevicePolicy(deviceInfo);
+      // The kernel re-authorizes a device that re-enumerates, so enforce on every connect
+      this.enforcePolicy(deviceInfo).catch(error => {
+        logger.warn(`Could not enforce policy on ${deviceInfo.id}: ${error.message}`);
+      });
+
+      const flap = this.flapDetector.record(deviceInfo.id);
+      const reconnected = this.cancelPendingDisconnect(deviceInfo.id);
+
+      if (flap.flapping || reconnected) {
+        // Quick reconnect or flapping: keep the device without new events or history
+        const existingDevice = this.devices.get(deviceInfo.id);
+        if (existingDevice && existingDevice.connectedAt) {
+          deviceInfo.connectedAt = existingDevice.connectedAt;
+        }
+        deviceInfo.flapping = flap.flapping;
+        this.devices.set(deviceInfo.id, deviceInfo);
+
+        if (flap.started) {
+          // Clients last saw it connected unless its disconnect was already reported
+          this.startFlapping(deviceInfo, existingDevice && existingDevice.status !== 'disconnected' ? 'connected' : 'disconnected');
+        } else if (flap.flapping) {
+          this.scheduleFlapSettle(deviceInfo.id);
+        } else {
+          logger.debug(`USB device reconnected within debounce window: ${deviceInfo.id}`);
+        }
+
+        // The disconnect already dropped its watches and closed its ports
+        this.refreshVolumes(deviceInfo.id).catch(error => {
+          logger.warn(`Could not map volumes of ${deviceInfo.id}: ${error.message}`);
+        });
+        this.refreshSerialPorts(deviceInfo.id).catch(error => {
+          logger.warn(`Could not map serial ports of ${deviceInfo.id}: ${error.message}`);
+        });
+        return;
+      }
+
       this.devices.set(deviceInfo.id, deviceInfo);
       this.addToHistory(deviceInfo, 'connect');
+      this.reportPolicyViolation(deviceInfo);
+      this.refreshVolumes(deviceInfo.id).catch(error => {
+        logger.warn(`Could not map volumes of ${deviceInfo.id}: ${error.message}`);
+      });
+      this.refreshSerialPorts(deviceInfo.id).catch(error => {
+        logger.warn(`Could not map serial ports of ${deviceInfo.id}: ${error.message}`);
+      });
 
       logger.info(`USB device connected: ${deviceInfo.productName || 'Unknown'} (${deviceInfo.id})`);
       this.emit('deviceConnected', deviceInfo);
+      this.emitTopologyUpdate();
     } catch (error) {
       logger.error('Error handling device connection:', error);
     }
@@ -485,120 +1016,269 @@ class RobustUSBManager extends EventEmitter {
         existingDevice = this.devices.get(deviceId);
       }
 
-      if (existingDevice) {
+      // Backends that only know the bus address report the transient ID
+      if (!existingDevice) {
+        existingDevice = this.getDevice(deviceId);
+        deviceId = existingDevice ? existingDevice.id : deviceId;
+      }
+
+      if (!existingDevice || existingDevice.status === 'disconnecting' ||
+        (existingDevice.status === 'disconnected' && this.devices.get(deviceId) === existingDevice)) {
+        return;
+      }
+
+      // The mount and ttys are gone with the device, even if the disconnect is debounced
+      this.volumeWatcher.unwatchDevice(deviceId);
+      this.serial.closeWhere(port => port.deviceId === deviceId, 'device disconnected').catch(() => {});
+
+      const flap = this.flapDetector.record(deviceId);
+      if (flap.flapping) {
         existingDevice.status = 'disconnected';
         existingDevice.disconnectedAt = new Date().toISOString();
 
-        this.addToHistory(existingDevice, 'disconnect');
-
-        // Remove from active devices after delay
-        setTimeout(() => {
-          this.devices.delete(deviceId);
-        }, 5000);
+        if (flap.started) {
+          this.startFlapping(existingDevice, 'connected');
+        } else {
+          this.scheduleFlapSettle(deviceId);
+        }
+        return;
+      }
 
-        logger.info(`USB device disconnected: ${existingDevice.productName || 'Unknown'} (${deviceId})`);
-        this.emit('deviceDisconnected', existingDevice);
+      if (this.debounceMs > 0) {
+        // Wait for a quick reconnect before reporting the disconnect
+        existingDevice.status = 'disconnecting';
+        this.pendingDisconnects.set(deviceId, setTimeout(() => {
+          this.pendingDisconnects.delete(deviceId);
+          this.completeDisconnect(deviceId, existingDevice);
+        }, this.debounceMs));
+        return;
       }
+
+      this.completeDisconnect(deviceId, existingDevice);
     } catch (error) {
       logger.error('Error handling device disconnection:', error);
     }
   }
 
   /**
-   * Stop monitoring USB device changes
+   * Handle a fresh copy of a connected device: apply and report any
+   * attribute changes (configuration, power, speed, ...)
    */
-  stopMonitoring() {
-    if (!this.isMonitoring) {
-      return;
-    }
-
+  handleDeviceUpdate(deviceInfo) {
     try {
-      if (this.usbDetection && this.monitoringMethod === 'node-usb-detection') {
-        this.usbDetection.stopMonitoring();
+      const existingDevice = this.devices.get(deviceInfo.id);
+      if (!existingDevice || existingDevice.status !== 'connected') {
+        return;
       }
 
-      if (this.pollingInterval) {
-        clearInterval(this.pollingInterval);
-        this.pollingInterval = null;
+      deviceInfo.category = classifyDevice(deviceInfo);
+      existingDevice.lastSeen = deviceInfo.lastSeen || new Date().toISOString();
+
+      const changes = diffDevice(existingDevice, deviceInfo);
+      if (changes.length === 0) {
+        return;
       }
 
-      this.isMonitoring = false;
-      logger.info('USB monitoring stopped');
+      changes.forEach(change => {
+        existingDevice[change.field] = change.to;
+      });
+      this.addToHistory(existingDevice, 'update', { changes });
+
+      if (changes.some(change => POLICY_FIELDS.includes(change.field))) {
+        const previous = { policy: existingDevice.policy };
+        existingDevice.policy = this.evaluateDevicePolicy(existingDevice);
+        this.reportPolicyViolation(existingDevice, previous);
+        this.enforcePolicy(existingDevice).catch(error => {
+          logger.warn(`Could not enforce policy on ${existingDevice.id}: ${error.message}`);
+        });
+      }
+
+      logger.info(`USB device updated: ${existingDevice.productName || 'Unknown'} (${existingDevice.id}): ${changes.map(change => change.field).join(', ')}`);
+      this.emit('deviceUpdated', { device: existingDevice, changes });
+
+      if (changes.some(change => ['portPath', 'productName', 'category'].includes(change.field))) {
+        this.emitTopologyUpdate();
+      } else if (changes.some(change => ['maxPower', 'activeConfiguration', 'configurations'].includes(change.field))) {
+        this.checkPowerBudgets();
+      }
     } catch (error) {
-      logger.error('Error stopping USB monitoring:', error);
+      logger.error('Error handling device update:', error);
     }
   }
 
   /**
-   * Refresh the current device list (First Run)
+   * Mark a device disconnected, record it and notify listeners
    */
-  async refreshDeviceList() {
-    try {
-      this.devices.clear();
+  completeDisconnect(deviceId, existingDevice, recordHistory = true) {
+    existingDevice.status = 'disconnected';
+    existingDevice.disconnectedAt = existingDevice.disconnectedAt && !recordHistory
+      ? existingDevice.disconnectedAt
+      : new Date().toISOString();
+
+    if (recordHistory) {
+      this.addToHistory(existingDevice, 'disconnect');
+    }
+    this.forgetIngestedVolumes(deviceId);
 
-      switch (this.monitoringMethod) {
-        case 'node-usb-detection':
-          await this.refreshWithNativeDetection();
-          break;
-        case 'usb-polling':
-          await this.refreshWithUSBLibrary();
-          break;
-        case 'system-polling':
-          await this.refreshWithSystemCommands();
-          break;
+    // Remove from active devices after delay, unless it was re-plugged meanwhile
+    setTimeout(() => {
+      const device = this.devices.get(deviceId);
+      if (device && device.status === 'disconnected') {
+        this.devices.delete(deviceId);
       }
+    }, 5000);
 
-      logger.info(`Refreshed device list: ${this.devices.size} devices found`);
-    } catch (error) {
-      logger.error('Error refreshing device list:', error);
-      throw error;
-    }
+    logger.info(`USB device disconnected: ${existingDevice.productName || 'Unknown'} (${deviceId})`);
+    this.emit('deviceDisconnected', existingDevice);
+    this.emitTopologyUpdate();
   }
 
   /**
-   * Refresh devices using native detection (First Run)
+   * Cancel a debounced disconnect, returning whether one was pending
    */
-  async refreshWithNativeDetection() {
-    if (!this.usbDetection) return;
+  cancelPendingDisconnect(deviceId) {
+    const timer = this.pendingDisconnects.get(deviceId);
+    if (!timer) return false;
 
-    return new Promise((resolve, reject) => {
-      this.usbDetection.find((err, devices) => {
-        if (err) {
-          reject(err);
-        } else {
-          devices.forEach(device => {
-            const deviceInfo = this.enrichDeviceInfo(device, 'connected');
-            this.devices.set(deviceInfo.id, deviceInfo);
-          });
-          resolve();
-        }
-      });
-    });
+    clearTimeout(timer);
+    this.pendingDisconnects.delete(deviceId);
+    return true;
   }
 
   /**
-   * Refresh devices using USB library (First Run)
+   * A device started flapping: record one summary history entry and
+   * suppress its events until it settles. `reportedStatus` is the status
+   * clients last saw, before the toggle that started it.
    */
-  async refreshWithUSBLibrary() {
-    if (!this.usbLib) return;
+  startFlapping(device, reportedStatus) {
+    const state = this.flapDetector.get(device.id);
+    this.cancelPendingDisconnect(device.id);
+
+    device.flapping = true;
+    state.reportedStatus = reportedStatus;
+    state.historyEntry = this.addToHistory(device, 'flapping', {
+      toggles: state.totalToggles,
+      windowMs: this.flapDetector.windowMs,
+      startedAt: state.startedAt,
+      endedAt: null,
+      finalStatus: null
+    });
 
-    const usbDevices = this.usbLib.getDeviceList();
-    logger.info(usbDevices);
-    logger.info(`Found ${usbDevices.length} USB devices using usb library`);
-    usbDevices.forEach(async (usbDevice) => {
-      const deviceInfo = await this.enrichUSBDeviceInfo(usbDevice, 'connected');
-      this.devices.set(deviceInfo.id, deviceInfo);
+    logger.warn(`USB device flapping: ${device.productName || 'Unknown'} (${device.id}), ${state.totalToggles} toggles`);
+    this.emit('deviceFlapping', {
+      device: device,
+      flapping: true,
+      toggles: state.totalToggles,
+      windowMs: this.flapDetector.windowMs,
+      startedAt: state.startedAt
     });
+
+    this.scheduleFlapSettle(device.id);
+  }
+
+  /**
+   * (Re)start the quiet period after which a flapping device is settled
+   */
+  scheduleFlapSettle(deviceId) {
+    clearTimeout(this.flapSettleTimers.get(deviceId));
+    this.flapSettleTimers.set(deviceId, setTimeout(() => {
+      this.flapSettleTimers.delete(deviceId);
+      this.endFlapping(deviceId);
+    }, this.flapDetector.windowMs));
   }
 
   /**
-   * Refresh devices using system commands (First Run)
+   * A flapping device has been quiet for a full window: finish the summary
+   * entry and report the state it settled in
    */
-  async refreshWithSystemCommands() {
-    const systemDevices = await this.getSystemUSBDevices();
-    systemDevices.forEach(device => {
-      this.devices.set(device.id, device);
+  endFlapping(deviceId) {
+    const state = this.flapDetector.settle(deviceId);
+    const device = this.devices.get(deviceId);
+    if (!state || !device) return;
+
+    device.flapping = false;
+    if (state.historyEntry) {
+      Object.assign(state.historyEntry.details, {
+        toggles: state.totalToggles,
+        endedAt: new Date().toISOString(),
+        finalStatus: device.status
+      });
+    }
+
+    logger.info(`USB device stopped flapping: ${device.productName || 'Unknown'} (${deviceId}), ${state.totalToggles} toggles`);
+    this.emit('deviceFlapping', {
+      device: device,
+      flapping: false,
+      toggles: state.totalToggles,
+      windowMs: this.flapDetector.windowMs,
+      startedAt: state.startedAt
     });
+
+    // A device clients already saw connected before it started flapping
+    // is only updated, not connected again
+    if (device.status === 'disconnected') {
+      this.completeDisconnect(deviceId, device, false);
+    } else if (state.reportedStatus === 'connected') {
+      this.emit('deviceUpdated', { device, changes: [{ field: 'flapping', from: true, to: false }] });
+      this.emitTopologyUpdate();
+    } else {
+      this.emit('deviceConnected', device);
+      this.emitTopologyUpdate();
+    }
+  }
+
+  /**
+   * Stop monitoring USB device changes
+   */
+  stopMonitoring() {
+    if (!this.isMonitoring) {
+      return;
+    }
+
+    try {
+      this.backend.stop();
+      this.stopVolumeRefresh();
+
+      this.isMonitoring = false;
+      logger.info('USB monitoring stopped');
+      this.emit('monitoringChanged', this.getStatus());
+    } catch (error) {
+      logger.error('Error stopping USB monitoring:', error);
+    }
+  }
+
+  /**
+   * Refresh the current device list (First Run)
+   */
+  async refreshDeviceList() {
+    try {
+      const devices = await this.backend.enumerate();
+      this.recordBackendSuccess(this.monitoringMethod);
+
+      const previous = new Map(this.devices);
+      this.clearDeviceTimers();
+      this.devices.clear();
+      devices.forEach(device => {
+        device.category = classifyDevice(device);
+        device.policy = this.evaluateDevicePolicy(device);
+        this.devices.set(device.id, device);
+      });
+      // Re-enumeration (e.g. a backend switch) only reports new violations
+      this.devices.forEach(device => {
+        const known = previous.get(device.id);
+        device.enforcement = known && known.enforcement;
+        this.reportPolicyViolation(device, known);
+        this.enforcePolicy(device).catch(error => {
+          logger.warn(`Could not enforce policy on ${device.id}: ${error.message}`);
+        });
+      });
+
+      this.checkPowerBudgets();
+      logger.info(`Refreshed device list: ${this.devices.size} devices found`);
+    } catch (error) {
+      logger.error('Error refreshing device list:', error);
+      throw error;
+    }
   }
 
   /**
@@ -606,10 +1286,8 @@ class RobustUSBManager extends EventEmitter {
    */
   enrichDeviceInfo(device, status = 'unknown') {
     const now = new Date().toISOString();
-    const deviceId = this.generateDeviceId(device);
 
-    return {
-      id: deviceId,
+    return this.resolveUSBIds(assignIdentity({
       vendorId: device.vendorId || 0,
       productId: device.productId || 0,
       serialNumber: device.serialNumber || null,
@@ -617,43 +1295,98 @@ class RobustUSBManager extends EventEmitter {
       productName: device.productName || this.getProductName(device.vendorId, device.productId),
       locationId: device.locationId || null,
       deviceName: device.deviceName || null,
+      ...this.getDeviceLocation(device),
+      speed: device.speed || null,
+      speedMbps: device.speedMbps || null,
       status: status,
       connectedAt: status === 'connected' ? now : null,
       disconnectedAt: status === 'disconnected' ? now : null,
-      lastSeen: now
+      lastSeen: now,
+      ...descriptors.fromDeviceInfo(device)
+    }));
+  }
+
+  /**
+   * Bus address and port path of a raw device (node-usb-detection reports a
+   * locationId, which identifies the physical port)
+   */
+  getDeviceLocation(device) {
+    return {
+      busNumber: device.busNumber ?? null,
+      deviceAddress: device.deviceAddress ?? null,
+      portPath: device.portPath || (device.locationId ? `loc-${device.locationId}` : null)
     };
   }
 
   /**
-   * Generate unique device ID (fallback method)
+   * Generate stable device ID (fallback method)
    */
   generateDeviceId(device) {
-    return `${device.vendorId || 0}-${device.productId || 0}-${device.serialNumber || 'no-serial'}`;
+    return generateStableId({
+      vendorId: device.vendorId || 0,
+      productId: device.productId || 0,
+      serialNumber: device.serialNumber || null,
+      ...this.getDeviceLocation(device)
+    });
   }
 
   /**
    * Get product name from vendor/product IDs
    */
   getProductName(vendorId, productId) {
-    const vendors = {
-      0x1234: 'Example Vendor',
-      0x04d8: 'Microchip Technology Inc.',
-      0x046d: 'Logitech',
-      0x09da: 'A4TECH',
-      0x413c: 'Dell Computer Corp.',
-      0x05ac: 'Apple Inc.',
-      0x045e: 'Microsoft Corp.',
-      0x8087: 'Intel Corp.',
-    };
+    const product = this.usbIds.lookupProduct(vendorId, productId);
+    const vendor = this.usbIds.lookupVendor(vendorId) || `Vendor 0x${vendorId?.toString(16).padStart(4, '0')}`;
+    return product
+      ? `${vendor} ${product}`
+      : `${vendor} Device 0x${productId?.toString(16).padStart(4, '0')}`;
+  }
+
+  /**
+   * Add usb.ids vendor, product and class names to a device (and its
+   * interfaces), and use the vendor name when the manufacturer is unknown
+   */
+  resolveUSBIds(device) {
+    device.vendorName = this.usbIds.lookupVendor(device.vendorId);
+    device.modelName = this.usbIds.lookupProduct(device.vendorId, device.productId);
+
+    const deviceClass = this.usbIds.lookupClass(device.deviceClass, device.deviceSubClass, device.deviceProtocol);
+    device.className = deviceClass.className;
+    device.subclassName = deviceClass.subclassName;
+    device.protocolName = deviceClass.protocolName;
+
+    (device.configurations || []).forEach(config => {
+      config.interfaces.forEach(iface => {
+        Object.assign(iface, this.usbIds.lookupClass(
+          iface.interfaceClass, iface.interfaceSubClass, iface.interfaceProtocol
+        ));
+      });
+    });
+
+    if (device.vendorName && (!device.manufacturer || /^Unknown( Manufacturer)?$/.test(device.manufacturer))) {
+      device.manufacturer = device.vendorName;
+    }
+
+    return device;
+  }
 
-    const vendor = vendors[vendorId] || `Vendor 0x${vendorId?.toString(16).padStart(4, '0')}`;
-    return `${vendor} Device 0x${productId?.toString(16).padStart(4, '0')}`;
+  /**
+   * Look up vendor and product names by ID
+   */
+  lookupUSBIds(vendorId, productId) {
+    return {
+      vendorId: vendorId,
+      productId: productId,
+      vendorName: this.usbIds.lookupVendor(vendorId),
+      productName: productId === null || productId === undefined
+        ? null
+        : this.usbIds.lookupProduct(vendorId, productId)
+    };
   }
 
   /**
    * Add event to history
    */
-  addToHistory(device, eventType) {
+  addToHistory(device, eventType, details = null) {
     const historyEntry = {
       id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       deviceId: device.id,
@@ -662,32 +1395,537 @@ class RobustUSBManager extends EventEmitter {
       timestamp: new Date().toISOString()
     };
 
+    if (details) {
+      historyEntry.details = details;
+    }
+
     this.connectionHistory.unshift(historyEntry);
 
     if (this.connectionHistory.length > 1000) {
       this.connectionHistory = this.connectionHistory.slice(0, 1000);
     }
+
+    return historyEntry;
   }
 
   /**
-   * Get current devices
+   * Get current devices, optionally filtered by category
    */
-  getDevices() {
-    return Array.from(this.devices.values());
+  getDevices(filters = {}) {
+    const devices = Array.from(this.devices.values());
+    return filters.category
+      ? devices.filter(device => device.category === filters.category)
+      : devices;
   }
 
   /**
-   * Get connection history
+   * Get connection history, optionally for a single device (stable ID)
    */
-  getHistory(limit = 50) {
-    return this.connectionHistory.slice(0, limit);
+  getHistory(limit = 50, deviceId = null) {
+    const history = deviceId
+      ? this.connectionHistory.filter(entry => entry.deviceId === deviceId)
+      : this.connectionHistory;
+    return history.slice(0, limit);
   }
 
   /**
-   * Get device by ID
+   * Get device by stable ID, or by its current transient (bus address) ID
    */
   getDevice(deviceId) {
-    return this.devices.get(deviceId);
+    return this.devices.get(deviceId) ||
+      Array.from(this.devices.values()).find(device => device.transientId === deviceId);
+  }
+
+  /**
+   * Get the hub -> port -> device tree of connected devices
+   */
+  getTopology() {
+    return buildTopology(this.getDevices());
+  }
+
+  /**
+   * Volumes of every USB block device (Linux; empty elsewhere)
+   */
+  async getStorageVolumes() {
+    if (!blockDevices.isAvailable(this.sysfsRoot)) {
+      return [];
+    }
+    return blockDevices.listUSBVolumes({ sysfsRoot: this.sysfsRoot, root: this.storageRoot });
+  }
+
+  /**
+   * Re-map volumes onto connected devices (one device, or all). Volumes are
+   * matched by port path, or by serial in /dev/disk/by-id when the backend
+   * does not know the port. Changes are reported as device updates, except
+   * capacity, which moves with every write and is reported through
+   * storageCapacity instead.
+   */
+  async refreshVolumes(deviceId = null) {
+    if (!blockDevices.isAvailable(this.sysfsRoot)) return;
+
+    const volumes = await this.getStorageVolumes();
+    const devices = deviceId ? [this.devices.get(deviceId)].filter(Boolean) : Array.from(this.devices.values());
+    // Devices from backends without port paths are located by bus address
+    const portPaths = devices.some(device => !device.portPath) ? await this.getSysfsPortPaths() : new Map();
+
+    devices
+      .filter(device => device.status === 'connected')
+      .forEach(device => {
+        const portPath = device.portPath || portPaths.get(`${device.busNumber}-${device.deviceAddress}`);
+        const deviceVolumes = volumes.filter(volume => portPath
+          ? volume.portPath === portPath
+          : blockDevices.matchesSerialLink(volume.byId, device.serialNumber));
+
+        if (device.volumes === undefined) {
+          // First mapping right after connect is part of the device, not an update
+          if (deviceVolumes.length > 0 || hasInterfaceClass(device, USB_CLASSES.MASS_STORAGE)) {
+            device.volumes = deviceVolumes;
+          }
+          return;
+        }
+
+        const withoutCapacity = list => JSON.stringify(list.map(({ capacity, ...volume }) => volume));
+        if (withoutCapacity(device.volumes) === withoutCapacity(deviceVolumes)) {
+          device.volumes = deviceVolumes;
+          return;
+        }
+
+        this.handleDeviceUpdate({ ...device, volumes: deviceVolumes });
+      });
+
+    devices
+      .filter(device => device.status === 'connected')
+      .forEach(device => {
+        this.triggerIngest(device);
+        this.updateWatches(device);
+      });
+  }
+
+  /**
+   * Start ingest runs for volumes of a device that were mounted since the
+   * last check. A volume is ingested once per mount.
+   */
+  triggerIngest(device) {
+    // Volumes that are being unmounted must not start new runs
+    if (this.ejecting.has(device.id)) return;
+
+    const prefix = `${device.id}|`;
+    const mounted = new Set();
+
+    (device.volumes || []).forEach(volume => {
+      const mountPoint = volume.mountPoints[0];
+      if (!mountPoint) return;
+
+      const key = `${prefix}${volume.devicePath}|${mountPoint}`;
+      mounted.add(key);
+      if (this.ingestedVolumes.has(key)) return;
+
+      this.ingestedVolumes.add(key);
+      this.ingest.matchRules(device, volume).forEach(rule => {
+        logger.info(`Ingesting ${volume.devicePath} of ${device.id} with rule ${rule.id}`);
+        this.ingest.start(rule, device, volume, mountPoint);
+      });
+    });
+
+    this.forgetIngestedVolumes(device.id, mounted);
+  }
+
+  forgetIngestedVolumes(deviceId, keep = new Set()) {
+    this.ingestedVolumes.forEach(key => {
+      if (key.startsWith(`${deviceId}|`) && !keep.has(key)) {
+        this.ingestedVolumes.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Rules come as an array or a JSON string; rules without an id are
+   * numbered
+   */
+  parseRuleList(rules, name) {
+    if (!rules) return [];
+
+    let parsed = rules;
+    if (typeof rules === 'string') {
+      try {
+        parsed = JSON.parse(rules);
+      } catch (error) {
+        logger.warn(`Ignoring invalid ${name}: ${error.message}`);
+        return [];
+      }
+    }
+
+    return [].concat(parsed).map((rule, index) => ({ ...rule, id: rule.id || `rule-${index + 1}` }));
+  }
+
+  /**
+   * Ingest rules without a destination are dropped
+   */
+  parseIngestRules(rules) {
+    return this.parseRuleList(rules, 'USB_INGEST_RULES')
+      .filter(rule => {
+        if (!rule.destination) {
+          logger.warn(`Ignoring ingest rule ${rule.id}: no destination`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Watch the mounted volumes of a device that has watching enabled or
+   * matches a watch rule, and stop watching volumes that went away
+   */
+  updateWatches(device) {
+    const keep = new Set();
+
+    (device.volumes || []).forEach(volume => {
+      const mountPoint = volume.mountPoints[0];
+      if (!mountPoint) return;
+      if (!this.watchedDevices.has(device.id) && !this.watchRules.some(rule => matchesDeviceRule(rule, device, volume))) {
+        return;
+      }
+
+      const key = `${device.id}|${volume.devicePath}|${mountPoint}`;
+      keep.add(key);
+      this.volumeWatcher.watch(key, { deviceId: device.id, volume: volume.devicePath, mountPoint });
+    });
+
+    this.volumeWatcher.unwatchDevice(device.id, keep);
+  }
+
+  /**
+   * Enable file-change watching for a device. It stays enabled across
+   * remounts and reconnects until unwatchDevice().
+   */
+  async watchDevice(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+
+    const volumes = await this.getDeviceVolumes(device.id);
+    if (volumes.length === 0) {
+      throw this.codedError('Device has no storage volumes to watch', 'NO_VOLUMES');
+    }
+
+    this.watchedDevices.add(device.id);
+    this.updateWatches(device);
+    return this.getWatches(device.id);
+  }
+
+  /**
+   * Disable watching for a device (watch rules still apply)
+   */
+  unwatchDevice(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+
+    this.watchedDevices.delete(device.id);
+    this.updateWatches(device);
+    return this.getWatches(device.id);
+  }
+
+  getWatches(deviceId = null) {
+    return this.volumeWatcher.list(deviceId);
+  }
+
+  getWatchRules() {
+    return this.watchRules;
+  }
+
+  getIngestRules() {
+    return this.ingest.rules;
+  }
+
+  getIngestRuns(deviceId = null) {
+    return this.ingest.list(deviceId);
+  }
+
+  getIngestRun(runId) {
+    return this.ingest.get(runId);
+  }
+
+  /**
+   * Current volumes of a device
+   */
+  async getDeviceVolumes(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+
+    await this.refreshVolumes(device.id);
+    return device.volumes || [];
+  }
+
+  /**
+   * Map tty nodes onto connected devices (one device, or all) by port path.
+   * CDC devices always get a serialPorts array, other devices (FTDI and
+   * other vendor-specific adapters) once a tty shows up. Changes are
+   * reported as device updates.
+   */
+  async refreshSerialPorts(deviceId = null) {
+    if (!serialPorts.isAvailable(this.sysfsRoot)) return;
+
+    const ports = await serialPorts.listUSBSerialPorts({ sysfsRoot: this.sysfsRoot, root: this.storageRoot });
+    const devices = deviceId ? [this.devices.get(deviceId)].filter(Boolean) : Array.from(this.devices.values());
+
+    devices
+      .filter(device => device.status === 'connected' && device.portPath)
+      .forEach(device => {
+        const devicePorts = ports.filter(port => port.portPath === device.portPath);
+
+        if (device.serialPorts === undefined) {
+          if (devicePorts.length > 0 || hasInterfaceClass(device, USB_CLASSES.CDC)) {
+            device.serialPorts = devicePorts;
+          }
+          return;
+        }
+
+        this.handleDeviceUpdate({ ...device, serialPorts: devicePorts });
+      });
+  }
+
+  /**
+   * Current serial ports of a device, with whether each is open
+   */
+  async getDeviceSerialPorts(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+
+    await this.refreshSerialPorts(device.id);
+    return (device.serialPorts || []).map(port => ({ ...port, open: this.serial.isOpen(port.path) }));
+  }
+
+  /**
+   * Serial ports of every connected device that has any, with their device
+   */
+  async listSerialPorts() {
+    await this.refreshSerialPorts();
+
+    return Array.from(this.devices.values())
+      .filter(device => device.status === 'connected' && device.serialPorts && device.serialPorts.length > 0)
+      .flatMap(device => device.serialPorts.map(port => ({
+        ...port,
+        deviceId: device.id,
+        open: this.serial.isOpen(port.path)
+      })));
+  }
+
+  /**
+   * Open one of a device's serial ports (by tty name or device path; the
+   * first one by default) for `owner`, who holds it exclusively
+   */
+  async openSerialPort(deviceId, owner, { port = null, ...settings } = {}) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+
+    const ports = await this.getDeviceSerialPorts(device.id);
+    const target = port
+      ? ports.find(entry => entry.name === port || entry.devicePath === port)
+      : ports[0];
+    if (!target) {
+      throw this.codedError(port ? `Device has no serial port ${port}` : 'Device has no serial ports', 'NO_SERIAL_PORTS');
+    }
+
+    const opened = await this.serial.open(target.path, owner, settings, {
+      deviceId: device.id,
+      name: target.name,
+      devicePath: target.devicePath
+    });
+    logger.info(`Serial port ${target.devicePath} of ${device.id} opened (${opened.settings.baudRate} baud)`);
+    return opened;
+  }
+
+  writeSerialPort(path, owner, data) {
+    return this.serial.write(path, owner, data);
+  }
+
+  closeSerialPort(path, owner) {
+    return this.serial.close(path, owner);
+  }
+
+  /**
+   * Release every port an owner holds (e.g. when its client disconnects)
+   */
+  closeSerialPortsOf(owner, reason = 'client disconnected') {
+    return this.serial.closeWhere(port => port.owner === owner, reason);
+  }
+
+  getOpenSerialPorts(deviceId = null) {
+    return this.serial.list(port => !deviceId || port.deviceId === deviceId);
+  }
+
+  /**
+   * Capacity, filesystem type and read-only state of every mounted volume,
+   * grouped by device
+   */
+  getStorageCapacity() {
+    return Array.from(this.devices.values())
+      .filter(device => device.status === 'connected' && device.volumes && device.volumes.length > 0)
+      .map(device => ({
+        deviceId: device.id,
+        volumes: device.volumes.map(volume => ({
+          name: volume.name,
+          devicePath: volume.devicePath,
+          label: volume.label,
+          mountPoints: volume.mountPoints,
+          fsType: volume.fsType,
+          readOnly: volume.readOnly,
+          capacity: volume.capacity
+        }))
+      }));
+  }
+
+  /**
+   * Refuse writes to read-only volumes, and writes of a known size that do
+   * not fit in the free space of the volume mounted at `mountPoint`. A file
+   * being replaced at `relativePath` frees its own size.
+   */
+  async checkWritableSpace(device, mountPoint, bytes, relativePath = null) {
+    const volume = (device.volumes || []).find(entry => entry.mountPoints.includes(mountPoint));
+    if (volume && volume.readOnly) {
+      throw this.codedError(`Volume ${volume.devicePath} is read-only`, 'EROFS');
+    }
+
+    if (bytes === null || bytes === undefined) return;
+
+    const existing = relativePath ? await volumeFiles.stat(mountPoint, relativePath).catch(() => null) : null;
+    const requiredBytes = Math.max(bytes - (existing && existing.type === 'file' ? existing.size : 0), 0);
+
+    const capacity = await blockDevices.readCapacity(mountPoint);
+    if (capacity && requiredBytes > capacity.freeBytes) {
+      const error = this.codedError(
+        `Insufficient space on device: ${requiredBytes} bytes needed, ${capacity.freeBytes} free`,
+        'INSUFFICIENT_SPACE'
+      );
+      error.requiredBytes = requiredBytes;
+      error.freeBytes = capacity.freeBytes;
+      throw error;
+    }
+  }
+
+  /**
+   * Periodically re-map volumes so mounts and unmounts show up as updates,
+   * and publish fresh capacity figures
+   */
+  startVolumeRefresh() {
+    if (this.volumeTimer || !this.volumeRefreshInterval || !blockDevices.isAvailable(this.sysfsRoot)) return;
+
+    this.volumeTimer = setTimeout(async () => {
+      try {
+        await this.refreshVolumes();
+        await this.refreshSerialPorts();
+
+        const capacity = this.getStorageCapacity();
+        if (capacity.length > 0) {
+          this.emit('storageCapacity', capacity);
+        }
+      } catch (error) {
+        logger.warn(`Volume refresh failed: ${error.message}`);
+      }
+      this.volumeTimer = null;
+      if (this.isMonitoring) {
+        this.startVolumeRefresh();
+      }
+    }, this.volumeRefreshInterval);
+  }
+
+  stopVolumeRefresh() {
+    if (this.volumeTimer) {
+      clearTimeout(this.volumeTimer);
+      this.volumeTimer = null;
+    }
+  }
+
+  /**
+   * Notify listeners of a topology change and re-check hub power budgets
+   */
+  emitTopologyUpdate() {
+    this.emit('topologyUpdated', this.getTopology());
+    this.checkPowerBudgets();
+  }
+
+  /**
+   * Budgets come as an object or a JSON string ({ "<hub id or port path>": mA })
+   */
+  parsePowerBudgets(budgets) {
+    if (!budgets) return {};
+    if (typeof budgets === 'object') return { ...budgets };
+
+    try {
+      return JSON.parse(budgets);
+    } catch (error) {
+      logger.warn(`Ignoring invalid USB_POWER_BUDGETS: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Power draw and budget per hub
+   */
+  getPowerReport() {
+    return {
+      ...buildPowerReport(this.getDevices(), this.powerBudgets),
+      budgets: { ...this.powerBudgets }
+    };
+  }
+
+  /**
+   * Set (or with null, clear) the budget of a hub by ID or port path
+   */
+  setPowerBudget(hubId, budgetMa) {
+    if (budgetMa === null || budgetMa === undefined) {
+      delete this.powerBudgets[hubId];
+    } else {
+      this.powerBudgets[hubId] = budgetMa;
+    }
+
+    logger.info(`Power budget for ${hubId}: ${budgetMa === null || budgetMa === undefined ? 'default' : `${budgetMa}mA`}`);
+    return this.checkPowerBudgets();
+  }
+
+  /**
+   * Update hub draw figures and emit powerOverBudget for hubs that have
+   * just gone over their budget
+   */
+  checkPowerBudgets() {
+    const report = this.getPowerReport();
+    const overBudget = new Set();
+
+    report.hubs.forEach(hub => {
+      const device = hub.id ? this.devices.get(hub.id) : null;
+      if (device) {
+        device.downstreamPowerMa = hub.drawMa;
+        device.powerBudgetMa = hub.budgetMa;
+      }
+
+      if (!hub.overBudget) return;
+
+      const key = hub.id || hub.portPath;
+      overBudget.add(key);
+      if (!this.overBudgetHubs.has(key)) {
+        logger.warn(`USB hub over power budget: ${hub.productName || hub.portPath} draws ${hub.drawMa}mA of ${hub.budgetMa}mA`);
+        this.emit('powerOverBudget', hub);
+      }
+    });
+
+    this.overBudgetHubs = overBudget;
+    return report;
+  }
+
+  /**
+   * Get the descriptor tree (configurations, interfaces, endpoints) of a device
+   */
+  getDeviceDescriptors(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) return null;
+
+    return {
+      deviceId: device.id,
+      vendorId: device.vendorId,
+      productId: device.productId,
+      speed: device.speed ?? null,
+      speedMbps: device.speedMbps ?? null,
+      ...descriptors.pickDescriptors(device)
+    };
   }
 
   /**
@@ -697,43 +1935,76 @@ class RobustUSBManager extends EventEmitter {
     return {
       isMonitoring: this.isMonitoring,
       monitoringMethod: this.monitoringMethod,
+      pollInterval: this.getPollInterval(),
+      polling: this.backend && this.backend.getPollStats ? this.backend.getPollStats() : null,
+      failoverThreshold: this.failoverThreshold,
+      backendHealth: Object.fromEntries(
+        Array.from(this.backendHealth.entries()).map(([method, health]) => [method, { ...health }])
+      ),
       deviceCount: this.devices.size,
       historyCount: this.connectionHistory.length,
       uptime: process.uptime(),
       librariesAvailable: {
         'node-usb-detection': !!this.usbDetection,
-        'usb': !!this.usbLib
-      }
+        'usb': !!this.usbLib,
+        'linux-sysfs': sysfs.isAvailable(this.sysfsRoot)
+      },
+      availableMethods: backends.listBackends()
+        .filter(name => backends.getBackend(name).isAvailable(this)),
+      sysfsRoot: this.sysfsRoot,
+      storageRoot: this.storageRoot,
+      volumeRefreshInterval: this.volumeRefreshInterval,
+      debounce: {
+        debounceMs: this.debounceMs,
+        flapThreshold: this.flapDetector.threshold,
+        flapWindowMs: this.flapDetector.windowMs,
+        pendingDisconnects: this.pendingDisconnects.size,
+        flappingDevices: this.flapDetector.getFlappingCount()
+      },
+      usbIds: this.usbIds.getStats()
     };
   }
 
+  /**
+   * Drop pending debounced disconnects and flap state
+   */
+  clearDeviceTimers() {
+    this.pendingDisconnects.forEach(timer => clearTimeout(timer));
+    this.pendingDisconnects.clear();
+    this.flapSettleTimers.forEach(timer => clearTimeout(timer));
+    this.flapSettleTimers.clear();
+    this.flapDetector.clear();
+  }
+
   /**
    * Cleanup resources
    */
   cleanup() {
     logger.info('Cleaning up USB Manager...');
     this.stopMonitoring();
+    this.transfers.cancelAll();
+    this.volumeWatcher.unwatchAll();
+    this.serial.closeWhere(() => true, 'service shutting down').catch(() => {});
+    this.clearDeviceTimers();
     this.devices.clear();
     this.removeAllListeners();
   }
 
-  getMountPoints() {
+  async getMountPoints() {
     try {
       if (process.platform === 'darwin') { // macOS
-        const output = exec('df -h').toString();
-        return output.split('\n')
+        const { stdout } = await execAsync('df -h');
+        return stdout.split('\n')
           .filter(line => line.includes('/Volumes/'))
           .map(line => line.split(' ').pop());
       } else if (process.platform === 'win32') { // Windows
-        const output = exec('wmic logicaldisk get name').toString();
-        return output.split('\r\n')
+        const { stdout } = await execAsync('wmic logicaldisk get name');
+        return stdout.split('\r\n')
           .filter(line => /^[A-Z]:/.test(line))
           .map(line => line.trim());
       } else { // Linux
-        const output = exec('mount | grep /media/ || mount | grep /mnt/').toString();
-        return output.split('\n')
-          .filter(Boolean)
-          .map(line => line.split(' ')[2]);
+        const volumes = await this.getStorageVolumes();
+        return volumes.flatMap(volume => volume.mountPoints);
       }
     } catch (error) {
       console.error('Error detecting mounts:', error);
@@ -742,22 +2013,24 @@ class RobustUSBManager extends EventEmitter {
   }
 
   async getUSBStoragePath(deviceId) {
-    const device = this.findDeviceById(deviceId);
-    if (!device) throw new Error('Device not found');
+    try {
+      if (process.platform === 'linux') {
+        console.log('Using Linux USB path detection');
+        return await this._getLinuxUSBPath(deviceId);
+      }
 
-    const vendorId = device.deviceDescriptor.idVendor;
-    const productId = device.deviceDescriptor.idProduct;
+      const device = this.findDeviceById(deviceId);
+      if (!device) throw new Error('Device not found');
+
+      const vendorId = device.deviceDescriptor.idVendor;
+      const productId = device.deviceDescriptor.idProduct;
 
-    try {
       if (process.platform === 'win32') {
         console.log('Using Windows USB path detection');
-        return this._getWindowsUSBPath(vendorId, productId);
-      } else if (process.platform === 'darwin') {
-        console.log('Using macOS USB path detection');
-        return this._getMacUSBPath(vendorId, productId);
+        return await this._getWindowsUSBPath(vendorId, productId);
       } else {
-        console.log('Using Linux USB path detection');
-        return this._getLinuxUSBPath(vendorId, productId);
+        console.log('Using macOS USB path detection');
+        return await this._getMacUSBPath(vendorId, productId);
       }
     } catch (error) {
       throw new Error(`Could not locate USB storage: ${error.message}`);
@@ -765,8 +2038,9 @@ class RobustUSBManager extends EventEmitter {
   }
 
   // Windows implementation
-  _getWindowsUSBPath(vendorId, productId) {
-    const drives = exec('wmic logicaldisk where "DriveType=2" get DeviceID').toString()
+  async _getWindowsUSBPath(vendorId, productId) {
+    const { stdout } = await execAsync('wmic logicaldisk where "DriveType=2" get DeviceID');
+    const drives = stdout
       .split('\r\n')
       .filter(line => /^[A-Z]:/.test(line))
       .map(line => line.trim());
@@ -774,7 +2048,7 @@ class RobustUSBManager extends EventEmitter {
     for (const drive of drives) {
       try {
         // Check if this is our device by querying USB info (Windows-specific)
-        const driveInfo = exec(`wmic volume where "DriveLetter='${drive}'" get DeviceID`).toString();
+        const { stdout: driveInfo } = await execAsync(`wmic volume where "DriveLetter='${drive}'" get DeviceID`);
         if (driveInfo.includes(`VID_${vendorId.toString(16).padStart(4, '0')}`) &&
           driveInfo.includes(`PID_${productId.toString(16).padStart(4, '0')}`)) {
           return drive + '\\';
@@ -787,16 +2061,17 @@ class RobustUSBManager extends EventEmitter {
   }
 
   // macOS implementation
-  _getMacUSBPath(vendorId, productId) {
-    const volumes = exec('df -h | grep /Volumes/').toString()
+  async _getMacUSBPath(vendorId, productId) {
+    const { stdout } = await execAsync('df -h');
+    const volumes = stdout
       .split('\n')
-      .filter(Boolean)
+      .filter(line => line.includes('/Volumes/'))
       .map(line => line.split(' ').pop());
 
     for (const volume of volumes) {
       try {
         // Check if this is our device by checking disk info
-        const diskInfo = exec(`diskutil info "${volume}"`).toString();
+        const { stdout: diskInfo } = await execAsync(`diskutil info "${volume}"`);
         if (diskInfo.includes(`Vendor ID:  0x${vendorId.toString(16).padStart(4, '0')}`) &&
           diskInfo.includes(`Product ID: 0x${productId.toString(16).padStart(4, '0')}`)) {
           return volume + '/';
@@ -808,27 +2083,14 @@ class RobustUSBManager extends EventEmitter {
     throw new Error('Matching USB storage not found');
   }
 
-  // Linux implementation
-  _getLinuxUSBPath(vendorId, productId) {
-    const mounts = exec('mount | grep /media/ || mount | grep /mnt/').toString()
-      .split('\n')
-      .filter(Boolean)
-      .map(line => line.split(' ')[2]);
-
-    for (const mount of mounts) {
-      try {
-        // Check USB device info via symlinks
-        const realPath = fs.realpathSync(mount);
-        const deviceInfo = exec(`udevadm info -q property -n ${realPath}`).toString();
-        if (deviceInfo.includes(`ID_VENDOR_ID=${vendorId.toString(16)}`) &&
-          deviceInfo.includes(`ID_MODEL_ID=${productId.toString(16)}`)) {
-          return mount + '/';
-        }
-      } catch (e) {
-        continue;
-      }
+  // Linux implementation (sysfs block device mapping)
+  async _getLinuxUSBPath(deviceId) {
+    const volumes = await this.getDeviceVolumes(deviceId);
+    const volume = volumes.find(v => v.mountPoints.length > 0);
+    if (!volume) {
+      throw new Error('Matching USB storage not found');
     }
-    throw new Error('Matching USB storage not found');
+    return volume.mountPoints[0] + '/';
   }
 
   // Get USB device tree from system_profiler
@@ -855,6 +2117,14 @@ class RobustUSBManager extends EventEmitter {
 
   // Find mount point for specific device
   async findMountPointForDevice(deviceId) {
+    // Linux: sysfs block device mapping
+    if (process.platform === 'linux') {
+      const volumes = await this.getDeviceVolumes(deviceId);
+      const volume = volumes.find(v => v.mountPoints.length > 0);
+      if (volume) return volume.mountPoints[0];
+      throw new Error('No writable mount point found for device');
+    }
+
     const device = this.findDeviceById(deviceId);
     if (!device) throw new Error('Device not found');
 
@@ -901,34 +2171,676 @@ class RobustUSBManager extends EventEmitter {
     throw new Error('No writable mount point found for device');
   }
 
-  // Main write method
-  async writeFileToUSB(deviceId, filename, content) {
+  // File browser on the device's mounted volume (paths relative to its root)
+  async listDeviceFiles(deviceId, relativePath = '') {
+    return volumeFiles.list(await this.findMountPointForDevice(deviceId), relativePath);
+  }
+
+  async statDeviceFile(deviceId, relativePath) {
+    return volumeFiles.stat(await this.findMountPointForDevice(deviceId), relativePath);
+  }
+
+  async getDeviceFileForReading(deviceId, relativePath) {
+    return volumeFiles.openable(await this.findMountPointForDevice(deviceId), relativePath);
+  }
+
+  async createDeviceDirectory(deviceId, relativePath, options = {}) {
+    return volumeFiles.createDirectory(await this.findMountPointForDevice(deviceId), relativePath, options);
+  }
+
+  async renameDeviceFile(deviceId, fromPath, toPath) {
+    return volumeFiles.rename(await this.findMountPointForDevice(deviceId), fromPath, toPath);
+  }
+
+  async deleteDeviceFile(deviceId, relativePath, options = {}) {
+    return volumeFiles.remove(await this.findMountPointForDevice(deviceId), relativePath, options);
+  }
+
+  /**
+   * Stream data into a file on the device's volume. The write is atomic
+   * and verified by SHA-256 (see utils/atomic-write); failures are recorded
+   * as write-failed history entries. Progress is reported through
+   * writeProgress/writeComplete, and the transfer can be cancelled with
+   * cancelTransfer() while it runs. `mountPoint` skips looking up the
+   * device's volume when the caller already has it.
+   */
+  async writeStreamToUSB(deviceId, relativePath, source, { totalBytes = null, transferId = null, expectedHash = null, mountPoint = null } = {}) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+    if (this.ejecting.has(device.id)) {
+      throw this.codedError('Device is being ejected', 'DEVICE_EJECTING');
+    }
+
+    mountPoint = mountPoint || await this.findMountPointForDevice(device.id);
+    await this.checkWritableSpace(device, mountPoint, totalBytes, relativePath);
+
+    const target = await volumeFiles.writable(mountPoint, relativePath);
+    const transfer = this.transfers.start({
+      id: transferId,
+      deviceId: device.id,
+      path: target.relativePath,
+      totalBytes: totalBytes
+    });
+
+    try {
+      const { hash, verified } = await writeAtomic(target.fullPath, source, {
+        expectedHash: expectedHash,
+        transforms: [this.transfers.createProgressStream(transfer)],
+        signal: transfer.controller.signal
+      });
+      return this.transfers.finish(transfer, 'completed', { hash, verified });
+    } catch (error) {
+      const cancelled = transfer.controller.signal.aborted;
+
+      const result = this.transfers.finish(transfer, cancelled ? 'cancelled' : 'failed', {
+        error: cancelled ? 'Transfer cancelled' : error.message,
+        code: cancelled ? 'TRANSFER_CANCELLED' : error.code || null,
+        hash: error.hash || null,
+        verified: false
+      });
+
+      if (!cancelled) {
+        logger.error(`Write to ${device.id} failed (${result.path}): ${error.message}`);
+        this.addToHistory(device, 'write-failed', {
+          transferId: result.id,
+          path: result.path,
+          error: result.error,
+          code: result.code,
+          bytesWritten: result.bytesWritten,
+          expectedHash: error.expectedHash || expectedHash,
+          hash: result.hash
+        });
+      }
+
+      const failure = new Error(result.error);
+      failure.code = result.code;
+      failure.transfer = result;
+      throw failure;
+    }
+  }
+
+  /**
+   * Cancel an in-flight transfer; returns false when it is unknown
+   */
+  cancelTransfer(transferId) {
+    const cancelled = this.transfers.cancel(transferId);
+    if (cancelled) {
+      logger.info(`Cancelling transfer ${transferId}`);
+    }
+    return cancelled;
+  }
+
+  getTransfers(deviceId = null) {
+    return this.transfers.list(deviceId);
+  }
+
+  // Main write method (atomic and verified, through writeStreamToUSB)
+  async writeFileToUSB(deviceId, filename, content, { expectedHash = null } = {}) {
     try {
       const mountPoint = await this.findMountPointForDevice(deviceId);
-      const filePath = path.join(mountPoint, filename);
+      const data = Buffer.from(content, 'utf-8');
 
-      await fs.promises.writeFile(filePath, content, 'utf-8');
+      const transfer = await this.writeStreamToUSB(deviceId, filename, Readable.from([data]), {
+        totalBytes: data.length,
+        expectedHash: expectedHash,
+        mountPoint: mountPoint
+      });
 
       return {
         success: true,
-        path: filePath,
+        path: path.join(mountPoint, transfer.path),
         deviceId: deviceId,
-        bytesWritten: content.length
+        bytesWritten: transfer.bytesWritten,
+        hash: transfer.hash,
+        verified: transfer.verified
       };
     } catch (error) {
       console.error('Error writing to USB:', error);
       return {
         success: false,
         error: error.message,
-        deviceId: deviceId
+        code: error.code || null,
+        deviceId: deviceId,
+        hash: error.transfer ? error.transfer.hash : null,
+        verified: false,
+        ...(error.code === 'INSUFFICIENT_SPACE' && { requiredBytes: error.requiredBytes, freeBytes: error.freeBytes })
+      };
+    }
+  }
+
+  /**
+   * Flush and unmount every volume of a device so it can be pulled safely.
+   * Refuses while the service has transfers open to the device. If a mount
+   * point fails to unmount, the ones already unmounted are mounted again so
+   * the device is not left half ejected. Emits deviceEjected once the
+   * volumes are unmounted, ahead of the physical disconnect.
+   */
+  async ejectDevice(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+
+    if (this.ejecting.has(device.id)) {
+      throw this.codedError('Device is already being ejected', 'DEVICE_EJECTING');
+    }
+
+    const openTransfers = this.transfers.list(device.id);
+    if (openTransfers.length > 0) {
+      const error = this.codedError(`Device has ${openTransfers.length} transfer(s) in progress`, 'TRANSFERS_IN_PROGRESS');
+      error.transfers = openTransfers;
+      throw error;
+    }
+
+    if (this.ingest.isActive(device.id)) {
+      throw this.codedError('Device has an ingest run in progress', 'INGEST_IN_PROGRESS');
+    }
+
+    this.ejecting.add(device.id);
+    try {
+      const volumes = await this.getDeviceVolumes(device.id);
+      if (volumes.length === 0) {
+        throw this.codedError('Device has no storage volumes to eject', 'NO_VOLUMES');
+      }
+
+      const mounts = volumes.flatMap(volume => volume.mountPoints.map(mountPoint => ({ volume, mountPoint })));
+      const mountPoints = mounts.map(mount => mount.mountPoint);
+
+      await this.commandRunner('sync', []);
+      const unmounted = [];
+      for (const mount of mounts) {
+        try {
+          await this.commandRunner('umount', [mount.mountPoint]);
+        } catch (error) {
+          const output = `${error.stderr || ''} ${error.message}`;
+          const failure = this.codedError(`Failed to unmount ${mount.mountPoint}: ${(error.stderr || error.message).trim()}`,
+            /busy/i.test(output) ? 'EBUSY' : 'UNMOUNT_FAILED');
+          Object.assign(failure, await this.remountVolumes(device, unmounted));
+          throw failure;
+        }
+        unmounted.push(mount);
+      }
+
+      await this.refreshVolumes(device.id);
+
+      const result = {
+        volumes: volumes.map(volume => volume.devicePath),
+        unmounted: mountPoints,
+        ejectedAt: new Date().toISOString()
       };
+
+      logger.info(`Ejected ${device.id} (${mountPoints.length} mount point(s) unmounted)`);
+      this.addToHistory(device, 'eject', result);
+      this.emit('deviceEjected', { device, ...result });
+      return result;
+    } finally {
+      this.ejecting.delete(device.id);
+    }
+  }
+
+  /**
+   * Mount again what a failed eject already unmounted (latest first),
+   * returning { remounted, remountFailed } mount points
+   */
+  async remountVolumes(device, mounts) {
+    const remounted = [];
+    const remountFailed = [];
+
+    for (const { volume, mountPoint } of [...mounts].reverse()) {
+      const args = [
+        ...(volume.fsType ? ['-t', volume.fsType] : []),
+        ...(volume.readOnly ? ['-o', 'ro'] : []),
+        volume.devicePath,
+        mountPoint
+      ];
+      try {
+        await this.commandRunner('mount', args);
+        remounted.push(mountPoint);
+      } catch (error) {
+        logger.error(`Could not remount ${volume.devicePath} on ${mountPoint} after a failed eject of ${device.id}: ${(error.stderr || error.message).trim()}`);
+        remountFailed.push(mountPoint);
+      }
+    }
+
+    if (mounts.length > 0) {
+      await this.refreshVolumes(device.id).catch(error => {
+        logger.warn(`Could not map volumes of ${device.id}: ${error.message}`);
+      });
+    }
+    return { remounted, remountFailed };
+  }
+
+  /**
+   * Allowlist entries come as "vid:pid" / "vid" strings (comma-separated,
+   * "*" for any product) or objects, as an array or JSON
+   */
+  parseRawTransferAllowlist(allowlist) {
+    if (!allowlist) return [];
+
+    let entries = allowlist;
+    if (typeof allowlist === 'string') {
+      try {
+        entries = allowlist.trim().startsWith('[') ? JSON.parse(allowlist) : allowlist.split(',');
+      } catch (error) {
+        logger.warn(`Ignoring invalid USB_RAW_TRANSFER_ALLOWLIST: ${error.message}`);
+        return [];
+      }
+    }
+
+    return [].concat(entries)
+      .map(entry => {
+        const [vendorId, productId] = typeof entry === 'string'
+          ? entry.trim().split(':')
+          : [entry.vendorId, entry.productId];
+        const anyProduct = productId === undefined || productId === null || productId === '*';
+        return {
+          vendorId: parseUsbId(vendorId),
+          productId: anyProduct ? null : parseUsbId(productId),
+          valid: parseUsbId(vendorId) !== null && (anyProduct || parseUsbId(productId) !== null)
+        };
+      })
+      .filter((entry, index) => {
+        if (!entry.valid) {
+          logger.warn(`Ignoring invalid raw transfer allowlist entry #${index + 1}`);
+        }
+        return entry.valid;
+      })
+      .map(({ vendorId, productId }) => ({ vendorId, productId }));
+  }
+
+  isRawTransferAllowed(device) {
+    return this.rawTransferAllowlist.some(entry =>
+      entry.vendorId === device.vendorId && (entry.productId === null || entry.productId === device.productId));
+  }
+
+  /**
+   * Check that raw transfers may go to a device and return it
+   */
+  getRawTransferDevice(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) throw new Error('Device not found');
+
+    if (!this.isRawTransferAllowed(device)) {
+      throw this.codedError(
+        `Raw transfers to ${device.vendorId.toString(16).padStart(4, '0')}:${device.productId.toString(16).padStart(4, '0')} are not allowed`,
+        'DEVICE_NOT_ALLOWED'
+      );
+    }
+    if (device.status !== 'connected') {
+      throw this.codedError('Device is not connected', 'DEVICE_NOT_CONNECTED');
+    }
+    return device;
+  }
+
+  getUsbTransport() {
+    if (this.usbTransport) return this.usbTransport;
+    if (!this.usbLib) {
+      throw this.codedError('Raw transfers need the usb library, which is not available', 'USB_UNAVAILABLE');
+    }
+    this.usbTransport = new UsbTransport(this.usbLib);
+    return this.usbTransport;
+  }
+
+  /**
+   * Run raw transfers to the same device one at a time
+   */
+  queueRawTransfer(device, transfer) {
+    const previous = this.rawTransferQueues.get(device.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(transfer);
+    this.rawTransferQueues.set(device.id, next);
+
+    next.catch(() => {}).then(() => {
+      if (this.rawTransferQueues.get(device.id) === next) {
+        this.rawTransferQueues.delete(device.id);
+      }
+    });
+    return next;
+  }
+
+  /**
+   * Send a control request. `direction` is in or out, `type` vendor
+   * (default) or class, `recipient` device (default), interface,
+   * endpoint or other. IN requests read `length` bytes; OUT requests
+   * send `data` (a Buffer). Standard requests are refused: they would
+   * change device state (address, configuration) behind the kernel's back.
+   */
+  async controlTransfer(deviceId, { direction, type = 'vendor', recipient = 'device', request, value = 0, index = 0, length = 0, data = null, timeout = null }) {
+    const device = this.getRawTransferDevice(deviceId);
+
+    // bmRequestType type bits
+    const types = { class: 1, vendor: 2 };
+    const recipients = ['device', 'interface', 'endpoint', 'other'];
+    const invalid = message => this.codedError(message, 'INVALID_REQUEST');
+    const isByte = number => Number.isInteger(number) && number >= 0 && number <= 0xff;
+    const isWord = number => Number.isInteger(number) && number >= 0 && number <= 0xffff;
+
+    if (direction !== 'in' && direction !== 'out') throw invalid('direction must be "in" or "out"');
+    if (!Object.prototype.hasOwnProperty.call(types, type)) throw invalid(`type must be one of ${Object.keys(types).join(', ')}`);
+    if (!recipients.includes(recipient)) throw invalid(`recipient must be one of ${recipients.join(', ')}`);
+    if (!isByte(request)) throw invalid('request must be a byte (0-255)');
+    if (!isWord(value) || !isWord(index)) throw invalid('value and index must be 16-bit (0-65535)');
+    if (direction === 'in' && !isWord(length)) throw invalid('length must be 0-65535');
+    if (direction === 'out' && (!Buffer.isBuffer(data) || data.length > 0xffff)) throw invalid('data must be at most 65535 bytes');
+    const transferTimeout = this.getRawTransferTimeout(timeout);
+
+    const setup = {
+      bmRequestType: (direction === 'in' ? 0x80 : 0) | (types[type] << 5) | recipients.indexOf(recipient),
+      bRequest: request,
+      wValue: value,
+      wIndex: index,
+      length: direction === 'in' ? length : undefined,
+      data: direction === 'out' ? data : undefined,
+      timeout: transferTimeout
+    };
+
+    const transport = this.getUsbTransport();
+    const result = await this.queueRawTransfer(device, () => transport.control(device, setup));
+    logger.info(`Control transfer ${direction} 0x${setup.bmRequestType.toString(16)}/${request} to ${device.id}`);
+    return this.describeRawTransfer(direction, result);
+  }
+
+  /**
+   * Read from or write to a bulk (or interrupt) endpoint of the active
+   * configuration. The direction follows from the endpoint address; pass
+   * `direction` to insist on one.
+   */
+  async bulkTransfer(deviceId, { endpoint, length = 0, data = null, timeout = null, direction = null }) {
+    const device = this.getRawTransferDevice(deviceId);
+
+    const address = parseUsbId(endpoint);
+    const config = (device.configurations || []).find(entry => entry.configurationValue === device.activeConfiguration) ||
+      (device.configurations || [])[0];
+    const iface = config && config.interfaces.find(entry => entry.endpoints.some(ep => ep.address === address));
+    const descriptor = iface && iface.endpoints.find(ep => ep.address === address);
+
+    if (!descriptor) {
+      throw this.codedError(`Endpoint ${endpoint} is not in the active configuration`, 'INVALID_REQUEST');
+    }
+    if (direction && descriptor.direction !== direction) {
+      throw this.codedError(`Endpoint 0x${address.toString(16)} is an ${descriptor.direction.toUpperCase()} endpoint`, 'INVALID_REQUEST');
+    }
+    if (descriptor.type !== 'bulk' && descriptor.type !== 'interrupt') {
+      throw this.codedError(`Endpoint 0x${address.toString(16)} is a ${descriptor.type} endpoint`, 'INVALID_REQUEST');
+    }
+    if (descriptor.direction === 'in' && (!Number.isInteger(length) || length <= 0 || length > 1024 * 1024)) {
+      throw this.codedError('length must be 1 to 1048576 bytes', 'INVALID_REQUEST');
+    }
+    if (descriptor.direction === 'out' && !Buffer.isBuffer(data)) {
+      throw this.codedError('data is required for an OUT endpoint', 'INVALID_REQUEST');
+    }
+    const transferTimeout = this.getRawTransferTimeout(timeout);
+
+    const transport = this.getUsbTransport();
+    const result = await this.queueRawTransfer(device, () => transport.bulk(device, {
+      interfaceNumber: iface.interfaceNumber,
+      endpoint: address,
+      length: descriptor.direction === 'in' ? length : undefined,
+      data: descriptor.direction === 'out' ? data : undefined,
+      timeout: transferTimeout
+    }));
+    logger.info(`${descriptor.type} transfer ${descriptor.direction} on endpoint 0x${address.toString(16)} of ${device.id}`);
+    return { endpoint: address, ...this.describeRawTransfer(descriptor.direction, result) };
+  }
+
+  /**
+   * A request's timeout in ms (a positive integer), or the configured default
+   */
+  getRawTransferTimeout(timeout) {
+    if (timeout === null || timeout === undefined) return this.rawTransferTimeout;
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      throw this.codedError('timeout must be a positive integer (ms)', 'INVALID_REQUEST');
+    }
+    return timeout;
+  }
+
+  describeRawTransfer(direction, result) {
+    return direction === 'in'
+      ? { direction, bytesTransferred: result ? result.length : 0, data: result || Buffer.alloc(0) }
+      : { direction, bytesTransferred: result };
+  }
+
+  /**
+   * Policy from options, else from the policy file; a missing file means
+   * no rules, an invalid one is logged and ignored
+   */
+  loadPolicy(policy) {
+    try {
+      if (policy) {
+        return normalizePolicy(policy);
+      }
+      if (this.policyFile && fs.existsSync(this.policyFile)) {
+        return normalizePolicy(JSON.parse(fs.readFileSync(this.policyFile, 'utf8')));
+      }
+    } catch (error) {
+      logger.warn(`Ignoring invalid device policy${this.policyFile ? ` in ${this.policyFile}` : ''}: ${error.message}`);
+    }
+    return normalizePolicy();
+  }
+
+  /**
+   * Device's verdict tag: { verdict, ruleId, description, evaluatedAt }
+   */
+  evaluateDevicePolicy(device) {
+    return { ...evaluatePolicy(this.policy, device), evaluatedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Log, record and announce a deny/alert verdict, unless the device
+   * already had it (`previous` is the device as it was)
+   */
+  reportPolicyViolation(device, previous = null) {
+    const policy = device.policy;
+    if (!policy || policy.verdict === 'allow') return;
+    if (previous && previous.policy &&
+      previous.policy.verdict === policy.verdict && previous.policy.ruleId === policy.ruleId) {
+      return;
+    }
+
+    const rule = this.policy.rules.find(entry => entry.id === policy.ruleId) || null;
+    logger.warn(`Policy ${policy.verdict}: ${device.productName || 'Unknown'} (${device.id}) ` +
+      `matched ${rule ? `rule ${rule.id}` : 'the default verdict'}`);
+    this.addToHistory(device, 'policy-violation', { verdict: policy.verdict, ruleId: policy.ruleId });
+    this.emit('policyViolation', { device, verdict: policy.verdict, rule });
+  }
+
+  getPolicy() {
+    return {
+      ...this.policy,
+      file: this.policyFile,
+      enforce: this.policyEnforce,
+      holdNewDevices: this.policyHoldNew,
+      denyHubs: this.policyDenyHubs
+    };
+  }
+
+  /**
+   * Replace the policy (saved to the policy file when one is configured)
+   * and re-evaluate connected devices, reporting verdicts that changed to
+   * deny or alert and enforcing the new verdicts
+   */
+  async setPolicy(policy) {
+    const normalized = normalizePolicy(policy);
+
+    if (this.policyFile) {
+      const content = JSON.stringify(normalized, null, 2) + '\n';
+      await fs.promises.mkdir(path.dirname(this.policyFile), { recursive: true });
+      await writeAtomic(this.policyFile, Readable.from([Buffer.from(content)]));
+    }
+    this.policy = normalized;
+
+    const connected = Array.from(this.devices.values()).filter(device => device.status !== 'disconnected');
+    const reevaluated = await Promise.all(connected.map(async device => {
+      const previous = { policy: device.policy };
+      device.policy = this.evaluateDevicePolicy(device);
+      this.reportPolicyViolation(device, previous);
+      await this.enforcePolicy(device).catch(error => {
+        logger.warn(`Could not enforce policy on ${device.id}: ${error.message}`);
+      });
+      return { deviceId: device.id, ...device.policy, authorized: device.authorized ?? null };
+    }));
+
+    logger.info(`Device policy updated: ${normalized.rules.length} rule(s), default ${normalized.defaultVerdict}`);
+    return { policy: this.getPolicy(), devices: reevaluated };
+  }
+
+  /**
+   * Make devices plugged in from now on start out unauthorized. Left in
+   * place when the service stops, so devices plugged in meanwhile stay held.
+   */
+  async holdNewDevices() {
+    try {
+      const hubs = await authorization.setAuthorizedDefault(this.sysfsRoot, false);
+      logger.info(`Holding new USB devices until allowed or approved (${hubs.join(', ') || 'no root hubs'})`);
+    } catch (error) {
+      logger.warn(`Could not hold new USB devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Undo holding left behind by an earlier run with USB_POLICY_HOLD_NEW,
+   * so new devices are authorized again once holding is turned off
+   */
+  async releaseNewDevices() {
+    if (!sysfs.isAvailable(this.sysfsRoot)) return;
+
+    try {
+      const hubs = await authorization.setAuthorizedDefault(this.sysfsRoot, true);
+      if (hubs.length > 0) {
+        logger.info(`No longer holding new USB devices (${hubs.join(', ')})`);
+      }
+    } catch (error) {
+      logger.warn(`Could not stop holding new USB devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bring a device's sysfs authorization in line with its verdict:
+   *   - deny: deauthorize the device, or only the matched interfaces of
+   *     a composite device. Root hubs are never deauthorized, other hubs
+   *     only with USB_POLICY_DENY_HUBS, as that cuts off their downstream
+   *     devices too.
+   *   - allow, or approved: authorize a held device
+   *   - alert: leave it be (held devices stay held until approved)
+   * Interfaces and devices deauthorized earlier are authorized again once
+   * the verdict no longer denies them. The current state is read from
+   * sysfs, since only the sysfs backend reports it. Every write is
+   * recorded in history.
+   */
+  async enforcePolicy(device, reason = 'policy') {
+    if (!this.policyEnforce || !device.policy || !device.portPath || !sysfs.isAvailable(this.sysfsRoot)) {
+      return;
+    }
+
+    const current = await sysfs.readAttribute(path.join(sysfs.getDevicesDir(this.sysfsRoot), device.portPath), 'authorized');
+    if (current === null) {
+      logger.debug(`Not enforcing policy on ${device.id}: no sysfs entry for ${device.portPath}`);
+      return;
+    }
+    device.authorized = current !== '0';
+
+    const { verdict, interfaces } = device.policy;
+    const enforcement = device.enforcement || { deauthorized: false, interfaces: [] };
+    const approved = this.approvedDevices.has(device.stableId || device.id);
+    const deniedInterfaces = verdict === 'deny' && interfaces ? interfaces : [];
+    device.enforcement = enforcement;
+
+    let authorize = null;
+    if (verdict === 'deny' && deniedInterfaces.length === 0) {
+      if (this.isHubExemptFromDeny(device)) {
+        logger.info(`Not deauthorizing hub ${device.portPath} (${device.id}): it would cut off its downstream devices`);
+      } else {
+        authorize = false;
+      }
+    } else if (verdict === 'allow' || approved || (enforcement.deauthorized && !this.policyHoldNew)) {
+      authorize = true;
+    }
+
+    if (authorize !== null && device.authorized !== authorize) {
+      await this.setDeviceAuthorization(device, device.portPath, authorize, reason);
+      device.authorized = authorize;
+      enforcement.deauthorized = !authorize;
+    }
+
+    // Interfaces only exist while the device is authorized and configured
+    if (device.authorized === false || !device.activeConfiguration) return;
+
+    const entries = deniedInterfaces.map(number =>
+      authorization.interfaceEntry(device.portPath, device.activeConfiguration, number));
+    for (const entry of entries.filter(entry => !enforcement.interfaces.includes(entry))) {
+      await this.setDeviceAuthorization(device, entry, false, reason);
+      enforcement.interfaces.push(entry);
+    }
+    for (const entry of enforcement.interfaces.filter(entry => !entries.includes(entry))) {
+      await this.setDeviceAuthorization(device, entry, true, reason);
+      enforcement.interfaces = enforcement.interfaces.filter(other => other !== entry);
+    }
+  }
+
+  isHubExemptFromDeny(device) {
+    if (authorization.isRootHub(device.portPath)) return true;
+    return !this.policyDenyHubs && (device.deviceClass === USB_CLASSES.HUB || device.category === 'hub');
+  }
+
+  /**
+   * Write one device or interface `authorized` attribute, recording the
+   * action (or its failure) in history and announcing it
+   */
+  async setDeviceAuthorization(device, entry, authorized, reason) {
+    const action = {
+      action: authorized ? 'authorize' : 'deauthorize',
+      target: entry,
+      verdict: device.policy.verdict,
+      ruleId: device.policy.ruleId,
+      reason: reason
+    };
+
+    try {
+      await authorization.setAuthorized(this.sysfsRoot, entry, authorized);
+    } catch (error) {
+      action.error = error.message;
+      this.addToHistory(device, 'policy-enforcement', action);
+      throw error;
+    }
+
+    logger.info(`Policy ${action.action}d ${entry}: ${device.productName || 'Unknown'} (${device.id}, ${reason})`);
+    this.addToHistory(device, 'policy-enforcement', action);
+    this.emit('policyEnforced', { device, ...action });
+  }
+
+  /**
+   * Approve a held device: authorize it now and whenever it reconnects
+   * (until the service restarts). Denied devices need a policy change.
+   */
+  async approveDevice(deviceId) {
+    const device = this.getDevice(deviceId);
+    if (!device) {
+      throw new Error('Device not found');
+    }
+    if (!this.policyEnforce) {
+      throw this.codedError('Policy enforcement is disabled (USB_POLICY_ENFORCE)', 'ENFORCEMENT_DISABLED');
     }
+    if (device.policy && device.policy.verdict === 'deny') {
+      throw this.codedError(`Device ${device.id} is denied by rule ${device.policy.ruleId || '(default)'}`, 'DEVICE_DENIED');
+    }
+
+    this.approvedDevices.add(device.stableId || device.id);
+    await this.enforcePolicy(device, 'approved');
+    return device;
+  }
+
+  /**
+   * Error with a code the API maps to a status (see routes/api.js)
+   */
+  codedError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
   }
 
   findDeviceById(deviceId) {
-    // get the connected devices and check if the deviceId exists
+    // resolve stable IDs to the current bus address, then find the usb library device
+    const known = this.getDevice(deviceId);
+    const transientId = known ? known.transientId : deviceId;
     const devices = this.usbLib.getDeviceList();
-    return devices.find(device => this.generateDeviceIdFromUSB(device) === deviceId);
+    return devices.find(device => this.generateDeviceIdFromUSB(device) === transientId);
   }
 }
 
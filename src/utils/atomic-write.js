@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Crash-safe file writes: data goes to a temp file next to the target,
+ * which is fsynced, read back and checked against the SHA-256 computed
+ * while writing (and the caller's expected hash, if given), and only
+ * then renamed over the target (keeping the old file's mode). A yanked drive or a failed check leaves
+ * either the old file or the new one, never half of it.
+ *
+ * The read-back goes through the OS and may be served from its cache, so
+ * it catches corruption on the way to the file, not every media fault.
+ */
+
+function checksumError(message, extra) {
+  const error = new Error(message);
+  error.code = 'CHECKSUM_MISMATCH';
+  Object.assign(error, extra);
+  return error;
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+async function syncPath(filePath, flags) {
+  const handle = await fs.promises.open(filePath, flags);
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Give the temp file the permissions of the file it replaces. Filesystems
+ * without Unix permissions (FAT, exFAT) may refuse, which is harmless.
+ */
+async function copyMode(targetPath, tempPath) {
+  const existing = await fs.promises.stat(targetPath).catch(() => null);
+  if (existing) {
+    await fs.promises.chmod(tempPath, existing.mode & 0o7777).catch(() => {});
+  }
+}
+
+/**
+ * Write `source` to `targetPath` atomically. `transforms` are placed in
+ * the pipeline before the file (e.g. progress counting) and `signal`
+ * aborts the write. Resolves with { hash, verified, bytesWritten }.
+ */
+async function writeAtomic(targetPath, source, { expectedHash = null, transforms = [], signal } = {}) {
+  const dir = path.dirname(targetPath);
+  const tempPath = path.join(dir, `.${path.basename(targetPath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  const hash = crypto.createHash('sha256');
+  let bytesWritten = 0;
+
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      bytesWritten += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(source, ...transforms, hasher, fs.createWriteStream(tempPath), { signal });
+    const writtenHash = hash.digest('hex');
+
+    if (expectedHash && expectedHash.toLowerCase() !== writtenHash) {
+      throw checksumError('Received data does not match the expected SHA-256', { expectedHash, hash: writtenHash });
+    }
+
+    await copyMode(targetPath, tempPath);
+    await syncPath(tempPath, 'r+');
+
+    // Check the synced temp file before it replaces the target
+    const readBackHash = await hashFile(tempPath);
+    if (readBackHash !== writtenHash) {
+      throw checksumError('File read back from the device does not match what was written', {
+        expectedHash: writtenHash,
+        hash: readBackHash
+      });
+    }
+
+    await fs.promises.rename(tempPath, targetPath);
+
+    // Persist the rename itself (not supported on every platform)
+    await syncPath(dir, 'r').catch(() => {});
+
+    return { hash: writtenHash, verified: true, bytesWritten };
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  hashFile,
+  writeAtomic
+};
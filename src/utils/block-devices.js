@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Linux mapping of USB mass-storage devices to block devices, partitions
+ * and mounts. Block devices are found under <sysfsRoot>/block, and the
+ * USB device they belong to is taken from the interface directory
+ * ("1-1.2:1.0") in their resolved sysfs path. Mounts, /dev/disk links and
+ * the udev database are read below a separate root so a fake tree can be
+ * used for testing.
+ */
+
+// Interface directories are named "<port path>:<config>.<interface>"
+const INTERFACE_PATTERN = /^(\d+-\d+(?:\.\d+)*):\d+\.\d+$/;
+
+const SECTOR_SIZE = 512;
+
+async function readText(file) {
+  try {
+    return (await fs.promises.readFile(file, 'utf-8')).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * /proc/mounts escapes spaces and other characters as octal (\040)
+ */
+function decodeMountField(value) {
+  return value.replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+/**
+ * udev escapes characters in /dev/disk link names as hex (\x20)
+ */
+function decodeLinkName(value) {
+  return value.replace(/\\x([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Parse /proc/mounts into { source, mountPoint, fsType, options }
+ */
+function parseMounts(content) {
+  return content.split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [source, mountPoint, fsType, options] = line.split(' ');
+      return {
+        source: decodeMountField(source),
+        mountPoint: decodeMountField(mountPoint || ''),
+        fsType: fsType || null,
+        options: options ? options.split(',') : []
+      };
+    });
+}
+
+async function readMounts(root) {
+  const content = await readText(path.join(root, 'proc', 'mounts'));
+  return content ? parseMounts(content) : [];
+}
+
+/**
+ * Map device names to the link names pointing at them in a directory of
+ * udev links (/dev/disk/by-id, /dev/serial/by-id, ...)
+ */
+async function readDeviceLinks(dir) {
+  const links = new Map();
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir);
+  } catch (error) {
+    return links;
+  }
+
+  await Promise.all(entries.map(async entry => {
+    try {
+      const target = path.basename(await fs.promises.readlink(path.join(dir, entry)));
+      links.set(target, (links.get(target) || []).concat(decodeLinkName(entry)));
+    } catch (error) {
+      // not a symlink
+    }
+  }));
+  return links;
+}
+
+async function readDiskLinks(root, kind) {
+  return readDeviceLinks(path.join(root, 'dev', 'disk', kind));
+}
+
+/**
+ * Filesystem properties udev recorded for a block device ("8:1")
+ */
+async function readUdevProperties(root, dev) {
+  const properties = {};
+  if (!dev) return properties;
+
+  const content = await readText(path.join(root, 'run', 'udev', 'data', `b${dev}`));
+  (content || '').split('\n').forEach(line => {
+    const match = line.match(/^E:([^=]+)=(.*)$/);
+    if (match) {
+      properties[match[1]] = match[2];
+    }
+  });
+  return properties;
+}
+
+/**
+ * Name of the block device a mount source refers to ("/dev/sda1",
+ * or a /dev/disk/by-* link), or null for non-device sources
+ */
+async function resolveMountSource(root, source) {
+  if (!source.startsWith('/dev/')) return null;
+
+  try {
+    return path.basename(await fs.promises.readlink(path.join(root, source)));
+  } catch (error) {
+    return path.basename(source);
+  }
+}
+
+/**
+ * Block devices that sit behind a USB interface, with their partitions
+ */
+async function listUSBBlockDevices(sysfsRoot) {
+  const blockDir = path.join(sysfsRoot, 'block');
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(blockDir);
+  } catch (error) {
+    return [];
+  }
+
+  const disks = await Promise.all(entries.map(async name => {
+    let realPath;
+    try {
+      realPath = await fs.promises.realpath(path.join(blockDir, name));
+    } catch (error) {
+      return null;
+    }
+
+    const iface = realPath.split(path.sep).find(segment => INTERFACE_PATTERN.test(segment));
+    if (!iface) return null;
+
+    const children = await fs.promises.readdir(realPath).catch(() => []);
+    const partitions = (await Promise.all(children.map(async child => {
+      const partition = await readText(path.join(realPath, child, 'partition'));
+      if (partition === null) return null;
+
+      return {
+        name: child,
+        partition: parseInt(partition, 10),
+        dev: await readText(path.join(realPath, child, 'dev')),
+        sectors: await readText(path.join(realPath, child, 'size'))
+      };
+    }))).filter(Boolean).sort((a, b) => a.partition - b.partition);
+
+    return {
+      name: name,
+      portPath: iface.match(INTERFACE_PATTERN)[1],
+      sysfsPath: realPath,
+      dev: await readText(path.join(realPath, 'dev')),
+      sectors: await readText(path.join(realPath, 'size')),
+      readOnly: (await readText(path.join(realPath, 'ro'))) === '1',
+      partitions: partitions
+    };
+  }));
+
+  return disks.filter(Boolean);
+}
+
+/**
+ * Size and usage of the filesystem mounted at `mountPoint`, or null when
+ * it cannot be read. freeBytes is the space available to unprivileged
+ * writers (what a write can actually use).
+ */
+async function readCapacity(mountPoint) {
+  try {
+    const stats = await fs.promises.statfs(mountPoint);
+    return {
+      totalBytes: stats.blocks * stats.bsize,
+      usedBytes: (stats.blocks - stats.bfree) * stats.bsize,
+      freeBytes: stats.bavail * stats.bsize
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * All volumes on USB block devices. A disk with partitions contributes one
+ * volume per partition, an unpartitioned disk is a volume itself.
+ *
+ * Each volume: { name, devicePath, disk, partition, portPath, sizeBytes,
+ * fsType, label, uuid, byId, mountPoints, readOnly, capacity }. readOnly
+ * is set by a write-protected disk or an "ro" mount; capacity is null
+ * unless the volume is mounted.
+ */
+async function listUSBVolumes({ sysfsRoot = '/sys', root = '/' } = {}) {
+  const [disks, mounts, byId, byLabel, byUuid] = await Promise.all([
+    listUSBBlockDevices(sysfsRoot),
+    readMounts(root),
+    readDiskLinks(root, 'by-id'),
+    readDiskLinks(root, 'by-label'),
+    readDiskLinks(root, 'by-uuid')
+  ]);
+
+  const mountsByDevice = new Map();
+  await Promise.all(mounts.map(async mount => {
+    const name = await resolveMountSource(root, mount.source);
+    if (name) {
+      mountsByDevice.set(name, (mountsByDevice.get(name) || []).concat(mount));
+    }
+  }));
+
+  const volumes = [];
+  for (const disk of disks) {
+    const entries = disk.partitions.length > 0 ? disk.partitions : [{ ...disk, partition: null }];
+
+    for (const entry of entries) {
+      const udev = await readUdevProperties(root, entry.dev);
+      const deviceMounts = mountsByDevice.get(entry.name) || [];
+
+      volumes.push({
+        name: entry.name,
+        devicePath: `/dev/${entry.name}`,
+        disk: disk.name,
+        partition: entry.partition,
+        portPath: disk.portPath,
+        sizeBytes: entry.sectors === null ? null : parseInt(entry.sectors, 10) * SECTOR_SIZE,
+        fsType: (deviceMounts[0] && deviceMounts[0].fsType) || udev.ID_FS_TYPE || null,
+        label: udev.ID_FS_LABEL || (byLabel.get(entry.name) || [])[0] || null,
+        uuid: udev.ID_FS_UUID || (byUuid.get(entry.name) || [])[0] || null,
+        byId: byId.get(entry.name) || [],
+        mountPoints: deviceMounts.map(mount => mount.mountPoint),
+        readOnly: disk.readOnly || deviceMounts.some(mount => mount.options.includes('ro')),
+        capacity: deviceMounts.length > 0 ? await readCapacity(deviceMounts[0].mountPoint) : null
+      });
+    }
+  }
+
+  return volumes;
+}
+
+/**
+ * Whether a volume's /dev/disk/by-id links name a USB serial number. udev
+ * names them "usb-<vendor>_<model>_<serial>-<host>:<lun>[-part<n>]", so the
+ * serial must be the whole "_"-delimited tail before the LUN, not a substring.
+ */
+function matchesSerialLink(links, serialNumber) {
+  if (!serialNumber) return false;
+  const serial = String(serialNumber).trim().replace(/\s+/g, '_').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^usb-.+_${serial}-\\d+:\\d+(-part\\d+)?$`);
+  return links.some(link => pattern.test(link));
+}
+
+/**
+ * Whether block devices can be listed below a sysfs root
+ */
+function isAvailable(sysfsRoot) {
+  try {
+    return fs.existsSync(path.join(sysfsRoot, 'block'));
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  INTERFACE_PATTERN,
+  parseMounts,
+  readMounts,
+  decodeMountField,
+  decodeLinkName,
+  readDeviceLinks,
+  readCapacity,
+  matchesSerialLink,
+  listUSBBlockDevices,
+  listUSBVolumes,
+  isAvailable
+};
@@ -0,0 +1,122 @@
+/**
+ * Device classification from USB device and interface class codes
+ */
+
+const USB_CLASSES = {
+  PER_INTERFACE: 0x00,
+  AUDIO: 0x01,
+  CDC: 0x02,
+  HID: 0x03,
+  PRINTER: 0x07,
+  MASS_STORAGE: 0x08,
+  HUB: 0x09,
+  CDC_DATA: 0x0a,
+  VIDEO: 0x0e,
+  WIRELESS: 0xe0,
+  MISCELLANEOUS: 0xef,
+  VENDOR_SPECIFIC: 0xff
+};
+
+// HID boot interface protocols
+const HID_PROTOCOLS = {
+  KEYBOARD: 1,
+  MOUSE: 2
+};
+
+const CATEGORIES = [
+  'hid-keyboard',
+  'hid-mouse',
+  'hid',
+  'mass-storage',
+  'audio',
+  'video',
+  'cdc-serial',
+  'hub',
+  'printer',
+  'wireless',
+  'vendor-specific',
+  'composite',
+  'unknown'
+];
+
+const CLASS_CATEGORIES = {
+  [USB_CLASSES.AUDIO]: 'audio',
+  [USB_CLASSES.CDC]: 'cdc-serial',
+  [USB_CLASSES.HID]: 'hid',
+  [USB_CLASSES.PRINTER]: 'printer',
+  [USB_CLASSES.MASS_STORAGE]: 'mass-storage',
+  [USB_CLASSES.HUB]: 'hub',
+  [USB_CLASSES.CDC_DATA]: 'cdc-serial',
+  [USB_CLASSES.VIDEO]: 'video',
+  [USB_CLASSES.WIRELESS]: 'wireless',
+  [USB_CLASSES.VENDOR_SPECIFIC]: 'vendor-specific'
+};
+
+/**
+ * Category of a single interface (or of a device-level class code)
+ */
+function categorizeClass(classCode, protocol) {
+  if (classCode === USB_CLASSES.HID) {
+    if (protocol === HID_PROTOCOLS.KEYBOARD) return 'hid-keyboard';
+    if (protocol === HID_PROTOCOLS.MOUSE) return 'hid-mouse';
+  }
+  return CLASS_CATEGORIES[classCode] || null;
+}
+
+/**
+ * Interfaces of the active configuration, first alternate setting only
+ */
+function getActiveInterfaces(device) {
+  const configurations = device.configurations || [];
+  const active = configurations.find(config => config.configurationValue === device.activeConfiguration) ||
+    configurations[0];
+  if (!active) return [];
+
+  return active.interfaces.filter(iface => !iface.alternateSetting);
+}
+
+/**
+ * Whether any active interface (or the device itself) has a class code
+ */
+function hasInterfaceClass(device, classCode) {
+  return device.deviceClass === classCode ||
+    getActiveInterfaces(device).some(iface => iface.interfaceClass === classCode);
+}
+
+/**
+ * Classify a device. The device class decides unless it defers to the
+ * interfaces (0x00, or 0xEF for interface-association devices), in which
+ * case a device whose interfaces serve more than one function is composite.
+ */
+function classifyDevice(device) {
+  const deviceClass = device.deviceClass;
+  if (deviceClass !== null && deviceClass !== undefined &&
+    deviceClass !== USB_CLASSES.PER_INTERFACE && deviceClass !== USB_CLASSES.MISCELLANEOUS) {
+    return categorizeClass(deviceClass, device.deviceProtocol) || 'unknown';
+  }
+
+  const categories = new Set(
+    getActiveInterfaces(device)
+      .map(iface => categorizeClass(iface.interfaceClass, iface.interfaceProtocol))
+      .filter(Boolean)
+  );
+
+  // A boot keyboard or mouse often carries an extra generic HID interface (media keys)
+  if (categories.has('hid') && (categories.has('hid-keyboard') || categories.has('hid-mouse'))) {
+    categories.delete('hid');
+  }
+
+  if (categories.size === 0) return 'unknown';
+  if (categories.size === 1) return categories.values().next().value;
+  return 'composite';
+}
+
+module.exports = {
+  USB_CLASSES,
+  HID_PROTOCOLS,
+  CATEGORIES,
+  categorizeClass,
+  getActiveInterfaces,
+  hasInterfaceClass,
+  classifyDevice
+};
@@ -0,0 +1,288 @@
+/**
+ * USB descriptor tree helpers.
+ *
+ * Every source (usb library, sysfs raw descriptors, `lsusb -v`) is
+ * normalized to the same shape:
+ * {
+ *   bcdUSB, bcdDevice, deviceClass, deviceSubClass, deviceProtocol,
+ *   maxPacketSize0, numConfigurations, activeConfiguration, maxPower,
+ *   configurations: [{
+ *     configurationValue, selfPowered, remoteWakeup, maxPower,
+ *     interfaces: [{
+ *       interfaceNumber, alternateSetting, interfaceClass,
+ *       interfaceSubClass, interfaceProtocol,
+ *       endpoints: [{ address, number, direction, type, maxPacketSize, interval }]
+ *     }]
+ *   }]
+ * }
+ * maxPower is in milliamps.
+ */
+
+const TRANSFER_TYPES = ['control', 'isochronous', 'bulk', 'interrupt'];
+
+const DESCRIPTOR_TYPES = {
+  DEVICE: 1,
+  CONFIGURATION: 2,
+  INTERFACE: 4,
+  ENDPOINT: 5
+};
+
+/**
+ * Convert a raw bMaxPower value to milliamps. SuperSpeed devices count in
+ * 8mA units, everything else in 2mA units.
+ */
+function maxPowerMilliamps(bMaxPower, bcdUSB) {
+  if (bMaxPower === null || bMaxPower === undefined) return null;
+  return bMaxPower * (bcdUSB >= 0x0300 ? 8 : 2);
+}
+
+function describeEndpoint(desc) {
+  return {
+    address: desc.bEndpointAddress,
+    number: desc.bEndpointAddress & 0x0f,
+    direction: desc.bEndpointAddress & 0x80 ? 'in' : 'out',
+    type: TRANSFER_TYPES[desc.bmAttributes & 0x03],
+    maxPacketSize: desc.wMaxPacketSize & 0x07ff,
+    interval: desc.bInterval
+  };
+}
+
+function describeInterface(desc) {
+  return {
+    interfaceNumber: desc.bInterfaceNumber,
+    alternateSetting: desc.bAlternateSetting,
+    interfaceClass: desc.bInterfaceClass,
+    interfaceSubClass: desc.bInterfaceSubClass,
+    interfaceProtocol: desc.bInterfaceProtocol,
+    endpoints: (desc.endpoints || []).map(describeEndpoint)
+  };
+}
+
+function describeConfiguration(desc, bcdUSB) {
+  return {
+    configurationValue: desc.bConfigurationValue,
+    selfPowered: !!(desc.bmAttributes & 0x40),
+    remoteWakeup: !!(desc.bmAttributes & 0x20),
+    maxPower: maxPowerMilliamps(desc.bMaxPower, bcdUSB),
+    interfaces: (desc.interfaces || []).flat().map(describeInterface)
+  };
+}
+
+/**
+ * Build the top-level tree from a device descriptor and its configurations
+ */
+function describeDevice(desc, configurations, activeConfiguration) {
+  const active = configurations.find(config => config.configurationValue === activeConfiguration) ||
+    configurations[0] || null;
+
+  return {
+    bcdUSB: desc.bcdUSB ?? null,
+    bcdDevice: desc.bcdDevice ?? null,
+    deviceClass: desc.bDeviceClass ?? null,
+    deviceSubClass: desc.bDeviceSubClass ?? null,
+    deviceProtocol: desc.bDeviceProtocol ?? null,
+    maxPacketSize0: desc.bMaxPacketSize0 ?? null,
+    numConfigurations: desc.bNumConfigurations ?? configurations.length,
+    activeConfiguration: active ? active.configurationValue : null,
+    maxPower: active ? active.maxPower : null,
+    configurations: configurations
+  };
+}
+
+/**
+ * Descriptor tree from a usb library Device
+ */
+function fromUSBDevice(usbDevice) {
+  const desc = usbDevice.deviceDescriptor;
+  let allConfigs = [];
+  let activeConfig = null;
+
+  try {
+    allConfigs = usbDevice.allConfigDescriptors || [];
+    activeConfig = usbDevice.configDescriptor || null;
+  } catch (error) {
+    // Some platforms refuse to read configuration descriptors without access
+  }
+
+  const configurations = allConfigs.map(config => describeConfiguration(config, desc.bcdUSB));
+  return describeDevice(desc, configurations, activeConfig ? activeConfig.bConfigurationValue : null);
+}
+
+/**
+ * Descriptor tree from the raw `descriptors` file in a sysfs device directory
+ * (device descriptor followed by every configuration, little-endian)
+ */
+function fromRawDescriptors(buffer, activeConfiguration = null) {
+  let device = null;
+  const configs = [];
+  let config = null;
+  let iface = null;
+
+  for (let offset = 0; offset + 2 <= buffer.length;) {
+    const length = buffer[offset];
+    const type = buffer[offset + 1];
+    if (length < 2 || offset + length > buffer.length) break;
+    const d = buffer.subarray(offset, offset + length);
+
+    if (type === DESCRIPTOR_TYPES.DEVICE && length >= 18) {
+      device = {
+        bcdUSB: d.readUInt16LE(2),
+        bDeviceClass: d[4],
+        bDeviceSubClass: d[5],
+        bDeviceProtocol: d[6],
+        bMaxPacketSize0: d[7],
+        bcdDevice: d.readUInt16LE(12),
+        bNumConfigurations: d[17]
+      };
+    } else if (type === DESCRIPTOR_TYPES.CONFIGURATION && length >= 9) {
+      config = { bConfigurationValue: d[5], bmAttributes: d[7], bMaxPower: d[8], interfaces: [] };
+      configs.push(config);
+      iface = null;
+    } else if (type === DESCRIPTOR_TYPES.INTERFACE && length >= 9 && config) {
+      iface = {
+        bInterfaceNumber: d[2],
+        bAlternateSetting: d[3],
+        bInterfaceClass: d[5],
+        bInterfaceSubClass: d[6],
+        bInterfaceProtocol: d[7],
+        endpoints: []
+      };
+      config.interfaces.push(iface);
+    } else if (type === DESCRIPTOR_TYPES.ENDPOINT && length >= 7 && iface) {
+      iface.endpoints.push({
+        bEndpointAddress: d[2],
+        bmAttributes: d[3],
+        wMaxPacketSize: d.readUInt16LE(4),
+        bInterval: d[6]
+      });
+    }
+
+    offset += length;
+  }
+
+  if (!device) return null;
+
+  const configurations = configs.map(c => describeConfiguration(c, device.bcdUSB));
+  return describeDevice(device, configurations, activeConfiguration);
+}
+
+function parseNumber(value) {
+  if (value === undefined) return null;
+  if (/^0x[0-9a-f]+$/i.test(value)) return parseInt(value, 16);
+  if (/^\d+\.\d+$/.test(value)) return parseInt(value.replace('.', ''), 16); // BCD, e.g. 2.00
+  const number = parseInt(value, 10);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Descriptor tree (plus string descriptors) from one device's `lsusb -v` lines
+ */
+function fromLsusbVerbose(lines) {
+  let device = null;
+  const configs = [];
+  let current = null;
+  let config = null;
+  let iface = null;
+  const strings = { manufacturer: null, product: null, serialNumber: null };
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+
+    // Section headers; unknown sections (HID, CDC, hub, qualifier...) are skipped
+    const header = trimmed.match(/^([A-Za-z][^:]*):$/);
+    if (header) {
+      switch (header[1]) {
+        case 'Device Descriptor':
+          current = device = {};
+          break;
+        case 'Configuration Descriptor':
+          current = config = { interfaces: [] };
+          configs.push(config);
+          iface = null;
+          break;
+        case 'Interface Descriptor':
+          current = iface = config ? { endpoints: [] } : null;
+          if (iface) config.interfaces.push(iface);
+          break;
+        case 'Endpoint Descriptor':
+          current = iface ? {} : null;
+          if (current) iface.endpoints.push(current);
+          break;
+        default:
+          current = null;
+      }
+      return;
+    }
+
+    const field = trimmed.match(/^(\w+)\s+(\S+)(?:\s+(.*))?$/);
+    if (!field || !current) return;
+    const [, key, value, text] = field;
+
+    if (current === device && ['iManufacturer', 'iProduct', 'iSerial'].includes(key)) {
+      const name = { iManufacturer: 'manufacturer', iProduct: 'product', iSerial: 'serialNumber' }[key];
+      strings[name] = text ? text.trim() : null;
+      return;
+    }
+
+    // lsusb already converts MaxPower to milliamps
+    if (key === 'MaxPower') {
+      current.maxPowerMilliamps = parseInt(value, 10);
+      return;
+    }
+
+    current[key] = parseNumber(value);
+  });
+
+  if (!device) return null;
+
+  const configurations = configs.map(c => ({
+    ...describeConfiguration(c, device.bcdUSB),
+    maxPower: c.maxPowerMilliamps ?? maxPowerMilliamps(c.bMaxPower, device.bcdUSB)
+  }));
+
+  return { ...describeDevice(device, configurations, null), strings };
+}
+
+// Descriptor fields that are copied onto device objects
+const DESCRIPTOR_FIELDS = [
+  'bcdUSB', 'bcdDevice', 'deviceClass', 'deviceSubClass', 'deviceProtocol', 'maxPacketSize0',
+  'numConfigurations', 'activeConfiguration', 'maxPower', 'configurations'
+];
+
+/**
+ * Tree for a device whose descriptors could not be read
+ */
+function emptyTree() {
+  return describeDevice({}, [], null);
+}
+
+/**
+ * Tree for a raw device object that may already carry some descriptor
+ * fields (e.g. simulated devices)
+ */
+function fromDeviceInfo(device) {
+  const tree = emptyTree();
+  DESCRIPTOR_FIELDS.forEach(field => {
+    if (device[field] !== undefined) tree[field] = device[field];
+  });
+  return tree;
+}
+
+/**
+ * Pick the descriptor tree fields from a device object
+ */
+function pickDescriptors(device) {
+  return Object.fromEntries(DESCRIPTOR_FIELDS.map(field => [field, device[field] ?? null]));
+}
+
+module.exports = {
+  TRANSFER_TYPES,
+  DESCRIPTOR_FIELDS,
+  emptyTree,
+  fromDeviceInfo,
+  pickDescriptors,
+  maxPowerMilliamps,
+  fromUSBDevice,
+  fromRawDescriptors,
+  fromLsusbVerbose
+};
@@ -0,0 +1,31 @@
+// Bookkeeping fields that change on every poll and are not device attributes
+const IGNORED_FIELDS = ['status', 'connectedAt', 'disconnectedAt', 'lastSeen', 'flapping'];
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Field-level differences between a stored device and a freshly polled
+ * one. Only fields the poll reports are compared, so fields added to the
+ * stored device by the manager are left alone.
+ */
+function diffDevice(previous, current, ignoredFields = IGNORED_FIELDS) {
+  return Object.keys(current)
+    .filter(field => !ignoredFields.includes(field))
+    .filter(field => !isEqual(previous[field] ?? null, current[field] ?? null))
+    .map(field => ({
+      field: field,
+      from: previous[field] ?? null,
+      to: current[field] ?? null
+    }));
+}
+
+module.exports = {
+  IGNORED_FIELDS,
+  diffDevice
+};
@@ -0,0 +1,85 @@
+/**
+ * Device identity helpers.
+ *
+ * A device has two identifiers:
+ *   - stableId:    follows one physical device across re-plugs and reboots.
+ *                  Built from VID/PID and the serial number, or from the
+ *                  physical port path when the device has no serial.
+ *   - transientId: the current bus address (VID/PID/bus/address), which
+ *                  changes every time the device is enumerated.
+ */
+
+function toHex(value) {
+  return (value || 0).toString(16).padStart(4, '0');
+}
+
+/**
+ * Keep identifiers URL-safe so they can be used in /api/devices/:id
+ */
+function sanitize(value) {
+  return String(value).trim().replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * Build a USB port path in sysfs notation ("1-1.4"), or the root hub name
+ * ("usb1") when there are no port numbers
+ */
+function formatPortPath(busNumber, portNumbers) {
+  if (busNumber === null || busNumber === undefined) return null;
+  if (!portNumbers || portNumbers.length === 0) return `usb${busNumber}`;
+  return `${busNumber}-${portNumbers.join('.')}`;
+}
+
+/**
+ * Generate the stable fingerprint for a device
+ */
+function generateStableId(device) {
+  const prefix = `${toHex(device.vendorId)}-${toHex(device.productId)}`;
+
+  if (device.serialNumber) {
+    return `${prefix}-sn-${sanitize(device.serialNumber)}`;
+  }
+  if (device.portPath) {
+    return `${prefix}-port-${sanitize(device.portPath)}`;
+  }
+  // No serial and no port path: the bus address is the best we have
+  if (device.busNumber !== null && device.busNumber !== undefined &&
+    device.deviceAddress !== null && device.deviceAddress !== undefined) {
+    return `${prefix}-addr-${device.busNumber}-${device.deviceAddress}`;
+  }
+  return `${prefix}-unknown`;
+}
+
+/**
+ * Generate the transient bus-address identifier, or null when unknown
+ */
+function generateTransientId(device) {
+  if (device.busNumber === null || device.busNumber === undefined ||
+    device.deviceAddress === null || device.deviceAddress === undefined) {
+    return null;
+  }
+  return [
+    toHex(device.vendorId),
+    toHex(device.productId),
+    device.busNumber,
+    device.deviceAddress
+  ].join('-');
+}
+
+/**
+ * Assign id/stableId/transientId on a device info object
+ */
+function assignIdentity(device) {
+  const stableId = generateStableId(device);
+  device.id = stableId;
+  device.stableId = stableId;
+  device.transientId = generateTransientId(device);
+  return device;
+}
+
+module.exports = {
+  formatPortPath,
+  generateStableId,
+  generateTransientId,
+  assignIdentity
+};
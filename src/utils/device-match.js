@@ -0,0 +1,66 @@
+/**
+ * Helpers for matching devices and files against user-written rules:
+ * USB IDs as numbers or hex strings ("0781", "0x0781"), and simple globs
+ * ("*" within a path segment, "**" across segments, "?" one character).
+ */
+
+/**
+ * Parse a vendor/product ID, or return null when it is not one
+ */
+function parseUsbId(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? value : null;
+  if (typeof value !== 'string' || !/^(0x)?[0-9a-f]{1,4}$/i.test(value.trim())) return null;
+  return parseInt(value.trim().replace(/^0x/i, ''), 16);
+}
+
+function globToRegExp(pattern, { caseInsensitive = true } = {}) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, caseInsensitive ? 'i' : '');
+}
+
+/**
+ * Whether `value` matches a glob (or any of a list of globs). Matching is
+ * case-insensitive, as volume labels and FAT file names are.
+ */
+function matchesGlob(value, patterns) {
+  if (value === null || value === undefined) return false;
+  return [].concat(patterns).some(pattern => globToRegExp(String(pattern)).test(String(value)));
+}
+
+/**
+ * Whether a device (and optionally one of its volumes) matches a rule's
+ * `deviceId` (stable ID), `vendorId`, `productId` and `label` (glob).
+ * Matchers that are not set match anything.
+ */
+function matchesDeviceRule(rule, device, volume = null) {
+  return (!rule.deviceId || rule.deviceId === device.id || rule.deviceId === device.stableId) &&
+    (rule.vendorId === undefined || parseUsbId(rule.vendorId) === device.vendorId) &&
+    (rule.productId === undefined || parseUsbId(rule.productId) === device.productId) &&
+    (!rule.label || (!!volume && matchesGlob(volume.label, rule.label)));
+}
+
+module.exports = {
+  parseUsbId,
+  globToRegExp,
+  matchesGlob,
+  matchesDeviceRule
+};
@@ -0,0 +1,71 @@
+/**
+ * Tracks connect/disconnect toggles per device and flags devices that
+ * toggle more than `threshold` times within `windowMs` as flapping
+ */
+class FlapDetector {
+  constructor({ threshold = 6, windowMs = 60000 } = {}) {
+    this.threshold = threshold;
+    this.windowMs = windowMs;
+    this.states = new Map();
+  }
+
+  /**
+   * Record one toggle. Returns whether the device is flapping and whether
+   * this toggle is the one that started it.
+   */
+  record(deviceId, now = Date.now()) {
+    let state = this.states.get(deviceId);
+    if (!state) {
+      state = { toggles: [], flapping: false, startedAt: null, totalToggles: 0, historyEntry: null, reportedStatus: null };
+      this.states.set(deviceId, state);
+    }
+
+    state.toggles.push(now);
+    state.toggles = state.toggles.filter(time => now - time <= this.windowMs);
+
+    if (state.flapping) {
+      state.totalToggles++;
+      return { flapping: true, started: false, state };
+    }
+
+    if (state.toggles.length > this.threshold) {
+      state.flapping = true;
+      state.startedAt = new Date(now).toISOString();
+      state.totalToggles = state.toggles.length;
+      return { flapping: true, started: true, state };
+    }
+
+    return { flapping: false, started: false, state };
+  }
+
+  isFlapping(deviceId) {
+    const state = this.states.get(deviceId);
+    return !!(state && state.flapping);
+  }
+
+  get(deviceId) {
+    return this.states.get(deviceId) || null;
+  }
+
+  /**
+   * End a flapping period, returning its state
+   */
+  settle(deviceId) {
+    const state = this.states.get(deviceId) || null;
+    this.states.delete(deviceId);
+    return state;
+  }
+
+  /**
+   * Number of devices currently flapping
+   */
+  getFlappingCount() {
+    return Array.from(this.states.values()).filter(state => state.flapping).length;
+  }
+
+  clear() {
+    this.states.clear();
+  }
+}
+
+module.exports = FlapDetector;
@@ -0,0 +1,238 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { hashFile, writeAtomic } = require('./atomic-write');
+const { matchesGlob, matchesDeviceRule } = require('./device-match');
+
+function exists(file) {
+  return fs.promises.access(file).then(() => true, () => false);
+}
+
+/**
+ * Copies files off USB volumes into local directories according to
+ * ingest rules, skipping files whose content the destination already has.
+ *
+ * A rule is { id, deviceId, vendorId, productId, label, files,
+ * destination }. Every matcher that is set must match; label and files
+ * are globs (files defaults to everything on the volume). destination may
+ * contain {deviceId} and {label}.
+ *
+ * Emits:
+ *   - 'started'   (run)
+ *   - 'progress'  (run, file)   after each file
+ *   - 'completed' (run)         status is completed or failed
+ *
+ * Events carry run summaries; the per-file report is in get(runId).files.
+ */
+class IngestManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.rules = options.rules || [];
+    this.maxRuns = options.maxRuns ?? 100;
+    this.runs = [];
+    this.knownHashes = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Rules that apply to a device's volume
+   */
+  matchRules(device, volume) {
+    return this.rules.filter(rule => matchesDeviceRule(rule, device, volume));
+  }
+
+  /**
+   * Queue a run of `rule` over the volume mounted at `mountPoint`. Runs
+   * execute one at a time so runs into the same destination see each
+   * other's files.
+   */
+  start(rule, device, volume, mountPoint) {
+    const run = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      deviceId: device.id,
+      volume: volume.devicePath,
+      label: volume.label,
+      mountPoint: mountPoint,
+      destination: this.resolveDestination(rule, device, volume),
+      status: 'queued',
+      startedAt: null,
+      finishedAt: null,
+      matched: 0,
+      copied: 0,
+      duplicates: 0,
+      failed: 0,
+      bytesCopied: 0,
+      error: null,
+      files: []
+    };
+
+    this.runs.unshift(run);
+    this.runs.splice(this.maxRuns);
+
+    this.queue = this.queue.then(() => this.execute(run, rule));
+    return run;
+  }
+
+  async execute(run, rule) {
+    run.status = 'running';
+    run.startedAt = new Date().toISOString();
+    this.emit('started', this.summarize(run));
+
+    try {
+      this.checkDestination(rule, run.destination);
+      const files = (await this.walk(run.mountPoint))
+        .filter(relativePath => !rule.files || matchesGlob(relativePath, rule.files));
+      run.matched = files.length;
+
+      const known = await this.getKnownHashes(run.destination);
+      for (const relativePath of files) {
+        const entry = await this.ingestFile(run, relativePath, known);
+        run.files.push(entry);
+        this.emit('progress', this.summarize(run), entry);
+      }
+
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date().toISOString();
+    this.emit('completed', this.summarize(run));
+  }
+
+  /**
+   * Copy one file unless its content is already in the destination. A
+   * different file under the same name is kept next to it with the start
+   * of its hash appended.
+   */
+  async ingestFile(run, relativePath, known) {
+    const source = path.join(run.mountPoint, relativePath);
+    const entry = { path: relativePath, status: null, hash: null, destination: null, error: null };
+
+    try {
+      entry.hash = await hashFile(source);
+      if (known.has(entry.hash) && await exists(known.get(entry.hash))) {
+        entry.status = 'duplicate';
+        entry.destination = known.get(entry.hash);
+        run.duplicates++;
+        return entry;
+      }
+
+      let target = path.join(run.destination, relativePath);
+      if (await exists(target)) {
+        const ext = path.extname(target);
+        target = `${target.slice(0, target.length - ext.length)}~${entry.hash.slice(0, 8)}${ext}`;
+      }
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const { bytesWritten } = await writeAtomic(target, fs.createReadStream(source), { expectedHash: entry.hash });
+
+      known.set(entry.hash, target);
+      entry.status = 'copied';
+      entry.destination = target;
+      run.copied++;
+      run.bytesCopied += bytesWritten;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      run.failed++;
+    }
+    return entry;
+  }
+
+  /**
+   * Relative paths (with "/") of the regular files below a directory.
+   * Symlinks are skipped so a run never leaves the volume.
+   */
+  async walk(root, relativeDir = '') {
+    const entries = await fs.promises.readdir(path.join(root, relativeDir), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this.walk(root, relativePath));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Hash -> path of the files already in a destination, read once
+   */
+  async getKnownHashes(destination) {
+    if (!this.knownHashes.has(destination)) {
+      const known = new Map();
+      const files = await this.walk(destination).catch(() => []);
+      for (const relativePath of files) {
+        const file = path.join(destination, relativePath);
+        known.set(await hashFile(file), file);
+      }
+      this.knownHashes.set(destination, known);
+    }
+    return this.knownHashes.get(destination);
+  }
+
+  /**
+   * Fill in a destination's placeholders. Values become a single path
+   * component: separators are replaced, and so is a value of only dots
+   * ("." or ".." would step out of the directory).
+   */
+  resolveDestination(rule, device, volume) {
+    const safe = value => {
+      const component = String(value || 'unknown').replace(/[\\/\0]/g, '_');
+      return /^\.+$/.test(component) ? component.replace(/\./g, '_') : component;
+    };
+    return rule.destination
+      .replace(/\{deviceId\}/g, safe(device.id))
+      .replace(/\{label\}/g, safe(volume.label));
+  }
+
+  /**
+   * Refuse a destination that resolves outside the rule's base directory
+   * (the part of its destination before the first placeholder)
+   */
+  checkDestination(rule, destination) {
+    const prefix = rule.destination.split(/\{(?:deviceId|label)\}/)[0];
+    const base = path.resolve(/[\\/]$/.test(prefix) || prefix === rule.destination ? prefix : path.dirname(prefix));
+    const resolved = path.resolve(destination);
+
+    if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+      throw new Error(`Destination ${resolved} is outside ${base}`);
+    }
+  }
+
+  /**
+   * Whether a device has runs queued or in progress
+   */
+  isActive(deviceId) {
+    return this.runs.some(run => run.deviceId === deviceId && (run.status === 'queued' || run.status === 'running'));
+  }
+
+  /**
+   * A run with its per-file report
+   */
+  get(runId) {
+    return this.runs.find(run => run.id === runId) || null;
+  }
+
+  /**
+   * Run summaries, newest first, optionally for one device
+   */
+  list(deviceId = null) {
+    return this.runs
+      .filter(run => !deviceId || run.deviceId === deviceId)
+      .map(run => this.summarize(run));
+  }
+
+  summarize(run) {
+    const { files, ...summary } = run;
+    return summary;
+  }
+}
+
+module.exports = IngestManager;
@@ -0,0 +1,136 @@
+const { parseUsbId, matchesGlob } = require('./device-match');
+const { CATEGORIES, getActiveInterfaces, hasInterfaceClass } = require('./classification');
+
+/**
+ * Device policy: ordered rules, each with a verdict, evaluated first
+ * match wins. A rule matches when every matcher it sets matches:
+ *   vendorId, productId   number or hex string
+ *   serialNumber          glob
+ *   class                 device or interface class code
+ *   category              category name, or a list of them
+ *   portPath              glob ("1-1.*")
+ * Devices no rule matches get `defaultVerdict`.
+ *
+ * { defaultVerdict: 'allow', rules: [{ id, verdict, description, ...matchers }] }
+ */
+
+const VERDICTS = ['allow', 'deny', 'alert'];
+const MATCHERS = ['vendorId', 'productId', 'serialNumber', 'class', 'category', 'portPath'];
+
+// Device fields the matchers read; a change to one calls for re-evaluation
+const POLICY_FIELDS = [
+  'vendorId', 'productId', 'serialNumber', 'deviceClass', 'configurations', 'activeConfiguration', 'category', 'portPath'
+];
+
+function policyError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_POLICY';
+  return error;
+}
+
+/**
+ * Validate a policy and fill in defaults, throwing INVALID_POLICY errors
+ * that name the offending rule
+ */
+function normalizePolicy(policy = {}) {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    throw policyError('Policy must be an object with a rules array');
+  }
+
+  const defaultVerdict = policy.defaultVerdict || 'allow';
+  if (!VERDICTS.includes(defaultVerdict)) {
+    throw policyError(`defaultVerdict must be one of ${VERDICTS.join(', ')}`);
+  }
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    throw policyError('rules must be an array');
+  }
+
+  const rules = (policy.rules || []).map((rule, index) => {
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      throw policyError(`Rule #${index + 1} must be an object`);
+    }
+
+    const id = rule.id || `rule-${index + 1}`;
+    if (!VERDICTS.includes(rule.verdict)) {
+      throw policyError(`Rule ${id}: verdict must be one of ${VERDICTS.join(', ')}`);
+    }
+    ['vendorId', 'productId'].forEach(field => {
+      if (rule[field] !== undefined && parseUsbId(rule[field]) === null) {
+        throw policyError(`Rule ${id}: ${field} must be a USB ID (number or hex string)`);
+      }
+    });
+    if (rule.class !== undefined) {
+      const classCode = parseUsbId(rule.class);
+      if (classCode === null || classCode > 0xff) {
+        throw policyError(`Rule ${id}: class must be a class code (0-255)`);
+      }
+    }
+    if (rule.category !== undefined) {
+      const categories = [].concat(rule.category);
+      if (categories.length === 0 || !categories.every(category => CATEGORIES.includes(category))) {
+        throw policyError(`Rule ${id}: category must be one of ${CATEGORIES.join(', ')}, or a list of them`);
+      }
+    }
+
+    const unknown = Object.keys(rule).filter(key => !['id', 'verdict', 'description', ...MATCHERS].includes(key));
+    if (unknown.length > 0) {
+      throw policyError(`Rule ${id}: unknown field(s) ${unknown.join(', ')}`);
+    }
+
+    return { ...rule, id };
+  });
+
+  const ids = rules.map(rule => rule.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw policyError(`Duplicate rule id: ${duplicate}`);
+  }
+
+  return { defaultVerdict, rules };
+}
+
+function matchesRule(rule, device) {
+  return (rule.vendorId === undefined || parseUsbId(rule.vendorId) === device.vendorId) &&
+    (rule.productId === undefined || parseUsbId(rule.productId) === device.productId) &&
+    (rule.serialNumber === undefined || matchesGlob(device.serialNumber, rule.serialNumber)) &&
+    (rule.class === undefined || device.deviceClass === parseUsbId(rule.class) ||
+      hasInterfaceClass(device, parseUsbId(rule.class))) &&
+    (rule.category === undefined || [].concat(rule.category).includes(device.category)) &&
+    (rule.portPath === undefined || matchesGlob(device.portPath, rule.portPath));
+}
+
+/**
+ * Interface numbers a `class` rule matched, when only some of a
+ * composite device's interfaces have the class (null otherwise)
+ */
+function matchedInterfaces(rule, device) {
+  const classCode = rule.class === undefined ? null : parseUsbId(rule.class);
+  if (classCode === null || device.deviceClass === classCode) return null;
+
+  const active = getActiveInterfaces(device);
+  const matching = active.filter(iface => iface.interfaceClass === classCode);
+  if (matching.length === 0 || matching.length === active.length) return null;
+  return [...new Set(matching.map(iface => iface.interfaceNumber))];
+}
+
+/**
+ * Verdict for a device: { verdict, ruleId, description, interfaces }
+ * (ruleId is null when the default verdict applied; interfaces as
+ * returned by matchedInterfaces)
+ */
+function evaluatePolicy(policy, device) {
+  const rule = policy.rules.find(entry => matchesRule(entry, device));
+  return {
+    verdict: rule ? rule.verdict : policy.defaultVerdict,
+    ruleId: rule ? rule.id : null,
+    description: rule ? rule.description || null : null,
+    interfaces: rule ? matchedInterfaces(rule, device) : null
+  };
+}
+
+module.exports = {
+  VERDICTS,
+  POLICY_FIELDS,
+  normalizePolicy,
+  evaluatePolicy
+};
@@ -0,0 +1,123 @@
+const { buildTopology } = require('./topology');
+
+/**
+ * Power budget reporting for hubs.
+ *
+ * Every device reports `maxPower` (mA) from its active configuration.
+ * A hub's draw is the sum of its direct downstream devices' maxPower; a
+ * downstream hub counts with its own maxPower only, since it budgets its
+ * own ports. Unless configured, a hub's budget is:
+ *   - root or self-powered hubs: ports x 500 mA (900 mA for USB 3)
+ *   - bus-powered hubs: what one upstream port supplies minus its own draw
+ */
+
+/**
+ * Current one port supplies by USB version (bcdUSB)
+ */
+function portCurrent(device) {
+  return device.bcdUSB >= 0x0300 ? 900 : 500;
+}
+
+/**
+ * Whether the device's active configuration is self-powered
+ */
+function isSelfPowered(device) {
+  const configurations = device.configurations || [];
+  const active = configurations.find(config => config.configurationValue === device.activeConfiguration) ||
+    configurations[0];
+  return active ? !!active.selfPowered : null;
+}
+
+/**
+ * Budget of a hub in mA and where it came from, or null when unknown
+ */
+function getHubBudget(hub, device, budgets = {}) {
+  const configured = (hub.id && budgets[hub.id]) ?? budgets[hub.portPath];
+  if (configured !== undefined && configured !== null) {
+    return { budgetMa: Number(configured), budgetSource: 'configured' };
+  }
+
+  if (!device) {
+    return { budgetMa: null, budgetSource: null };
+  }
+
+  const isRootHub = /^usb\d+$/.test(device.portPath || '');
+  if (isRootHub || isSelfPowered(device)) {
+    return device.maxChild > 0
+      ? { budgetMa: device.maxChild * portCurrent(device), budgetSource: isRootHub ? 'root-hub' : 'self-powered' }
+      : { budgetMa: null, budgetSource: null };
+  }
+
+  return {
+    budgetMa: Math.max(portCurrent(device) - (device.maxPower || 0), 0),
+    budgetSource: 'bus-powered'
+  };
+}
+
+/**
+ * Per-hub power draw and budget for a list of devices.
+ * `budgets` maps hub IDs or port paths to budgets in mA.
+ */
+function buildPowerReport(devices, budgets = {}) {
+  const devicesById = new Map(devices.map(device => [device.id, device]));
+  const topology = buildTopology(devices);
+  const hubs = [];
+
+  const visit = (node) => {
+    if (node.isHub && node.children.length > 0) {
+      const device = node.id ? devicesById.get(node.id) : null;
+      const budget = getHubBudget(node, device, budgets);
+
+      // Placeholders are only reported when a budget is configured for them
+      if (device || budget.budgetMa !== null) {
+        const downstream = node.children
+          .filter(child => child.id)
+          .map(child => {
+            const childDevice = devicesById.get(child.id);
+            return {
+              id: child.id,
+              productName: child.productName,
+              portPath: child.portPath,
+              port: child.port,
+              maxPower: childDevice.maxPower ?? null
+            };
+          });
+        const drawMa = downstream.reduce((sum, child) => sum + (child.maxPower || 0), 0);
+
+        hubs.push({
+          id: node.id,
+          productName: node.productName,
+          portPath: node.portPath,
+          selfPowered: device ? isSelfPowered(device) : null,
+          maxPower: device ? device.maxPower ?? null : null,
+          ...budget,
+          drawMa: drawMa,
+          overBudget: budget.budgetMa !== null && drawMa > budget.budgetMa,
+          downstream: downstream
+        });
+      }
+    }
+    node.children.forEach(visit);
+  };
+  topology.roots.forEach(visit);
+
+  const connected = devices.filter(device => device.status === 'connected');
+  return {
+    hubs: hubs,
+    devices: connected.map(device => ({
+      id: device.id,
+      productName: device.productName || null,
+      portPath: device.portPath || null,
+      maxPower: device.maxPower ?? null
+    })),
+    totalDrawMa: connected.reduce((sum, device) => sum + (device.maxPower || 0), 0),
+    overBudgetCount: hubs.filter(hub => hub.overBudget).length
+  };
+}
+
+module.exports = {
+  portCurrent,
+  isSelfPowered,
+  getHubBudget,
+  buildPowerReport
+};
@@ -0,0 +1,205 @@
+const EventEmitter = require('events');
+
+const DEFAULT_SETTINGS = {
+  baudRate: 9600,
+  dataBits: 8,
+  parity: 'none',
+  stopBits: 1,
+  rtscts: false
+};
+
+const PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+
+function serialError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Default port opener: the optional serialport package
+ */
+function openWithSerialPort(path, settings) {
+  let SerialPort;
+  try {
+    ({ SerialPort } = require('serialport'));
+  } catch (error) {
+    return Promise.reject(serialError('Serial support is not installed (serialport package)', 'SERIAL_UNAVAILABLE'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const port = new SerialPort({ path, ...settings, autoOpen: false });
+    port.open(error => error ? reject(error) : resolve(port));
+  });
+}
+
+/**
+ * Serial ports opened on behalf of clients. A port is held exclusively by
+ * the owner (client) that opened it until the owner closes it, the owner
+ * goes away or the port itself closes (e.g. the device is unplugged).
+ *
+ * Ports are opened through `openPort(path, settings)`, which resolves with
+ * a duplex stream; the serialport package is used unless one is passed in.
+ *
+ * Emits:
+ *   - 'data'   (port, chunk)    data read from a port
+ *   - 'closed' (port, reason)   a port was closed and released
+ */
+class SerialManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.openPort = options.openPort || openWithSerialPort;
+    this.ports = new Map();
+  }
+
+  /**
+   * Merge settings with the defaults, rejecting values a UART cannot use
+   */
+  normalizeSettings(settings = {}) {
+    const normalized = { ...DEFAULT_SETTINGS };
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        normalized[key] = settings[key];
+      }
+    });
+
+    if (!Number.isInteger(normalized.baudRate) || normalized.baudRate <= 0) {
+      throw serialError(`Invalid baud rate: ${normalized.baudRate}`, 'INVALID_SETTINGS');
+    }
+    if (![5, 6, 7, 8].includes(normalized.dataBits)) {
+      throw serialError(`Invalid data bits: ${normalized.dataBits}`, 'INVALID_SETTINGS');
+    }
+    if (!PARITIES.includes(normalized.parity)) {
+      throw serialError(`Invalid parity: ${normalized.parity} (expected ${PARITIES.join(', ')})`, 'INVALID_SETTINGS');
+    }
+    if (![1, 1.5, 2].includes(normalized.stopBits)) {
+      throw serialError(`Invalid stop bits: ${normalized.stopBits}`, 'INVALID_SETTINGS');
+    }
+    normalized.rtscts = !!normalized.rtscts;
+    return normalized;
+  }
+
+  /**
+   * Open a port for `owner`. Fails with PORT_LOCKED while another owner
+   * holds it. `info` is kept with the port (e.g. the device ID).
+   */
+  async open(path, owner, settings = {}, info = {}) {
+    const held = this.ports.get(path);
+    if (held) {
+      throw serialError(
+        held.owner === owner ? `Port ${path} is already open` : `Port ${path} is in use by another client`,
+        'PORT_LOCKED'
+      );
+    }
+
+    const port = {
+      ...info,
+      path: path,
+      owner: owner,
+      settings: this.normalizeSettings(settings),
+      openedAt: new Date().toISOString(),
+      bytesRead: 0,
+      bytesWritten: 0,
+      stream: null
+    };
+
+    // Hold the lock while opening so a concurrent open cannot win too
+    this.ports.set(path, port);
+    try {
+      port.stream = await this.openPort(path, port.settings);
+    } catch (error) {
+      this.ports.delete(path);
+      throw serialError(`Failed to open ${path}: ${error.message}`, error.code || 'OPEN_FAILED');
+    }
+
+    port.stream.on('data', chunk => {
+      port.bytesRead += chunk.length;
+      this.emit('data', this.toJSON(port), chunk);
+    });
+    port.stream.on('error', error => this.release(port, error.message));
+    port.stream.on('close', () => this.release(port, 'port closed'));
+
+    return this.toJSON(port);
+  }
+
+  /**
+   * Write to a port held by `owner`
+   */
+  async write(path, owner, data) {
+    const port = this.getOwned(path, owner);
+
+    await new Promise((resolve, reject) => {
+      port.stream.write(data, error => error ? reject(error) : resolve());
+    });
+    port.bytesWritten += data.length;
+    return this.toJSON(port);
+  }
+
+  /**
+   * Close a port held by `owner`
+   */
+  async close(path, owner, reason = 'closed by client') {
+    const port = this.getOwned(path, owner);
+    await this.closePort(port, reason);
+  }
+
+  /**
+   * Close every port matching a predicate (all ports of an owner, of a device, ...)
+   */
+  async closeWhere(predicate, reason) {
+    const ports = Array.from(this.ports.values()).filter(port => port.stream && predicate(this.toJSON(port)));
+    await Promise.all(ports.map(port => this.closePort(port, reason)));
+  }
+
+  async closePort(port, reason) {
+    const stream = port.stream;
+    this.release(port, reason);
+
+    if (typeof stream.close === 'function' && stream.isOpen !== false) {
+      await new Promise(resolve => stream.close(() => resolve()));
+    } else if (typeof stream.destroy === 'function') {
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Drop a port from the open list once, announcing why
+   */
+  release(port, reason) {
+    if (this.ports.get(port.path) !== port) return;
+
+    this.ports.delete(port.path);
+    this.emit('closed', this.toJSON(port), reason);
+  }
+
+  getOwned(path, owner) {
+    const port = this.ports.get(path);
+    if (!port || !port.stream) {
+      throw serialError(`Port ${path} is not open`, 'PORT_NOT_OPEN');
+    }
+    if (port.owner !== owner) {
+      throw serialError(`Port ${path} is in use by another client`, 'PORT_LOCKED');
+    }
+    return port;
+  }
+
+  isOpen(path) {
+    return this.ports.has(path);
+  }
+
+  /**
+   * Open ports, optionally filtered by a predicate
+   */
+  list(predicate = () => true) {
+    return Array.from(this.ports.values())
+      .map(port => this.toJSON(port))
+      .filter(predicate);
+  }
+
+  toJSON(port) {
+    const { stream, ...data } = port;
+    return data;
+  }
+}
+
+module.exports = SerialManager;
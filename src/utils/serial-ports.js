@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const { INTERFACE_PATTERN, readDeviceLinks } = require('./block-devices');
+
+/**
+ * Linux mapping of USB-serial devices (CDC-ACM, FTDI and other usb-serial
+ * drivers) to their tty nodes. tty devices are found under
+ * <sysfsRoot>/class/tty, and the USB interface they belong to is taken
+ * from their resolved sysfs path, as for block devices. Device nodes and
+ * /dev/serial/by-id links are looked up below a separate root.
+ */
+
+/**
+ * All tty nodes behind a USB interface:
+ * { name, devicePath, path, portPath, interface, interfaceNumber, driver, byId }
+ *
+ * devicePath is the node's name on the host (/dev/ttyACM0); path is where
+ * it is opened, below `root`.
+ */
+async function listUSBSerialPorts({ sysfsRoot = '/sys', root = '/' } = {}) {
+  const ttyDir = path.join(sysfsRoot, 'class', 'tty');
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(ttyDir);
+  } catch (error) {
+    return [];
+  }
+
+  const byId = await readDeviceLinks(path.join(root, 'dev', 'serial', 'by-id'));
+
+  const ports = await Promise.all(entries.map(async name => {
+    let realPath;
+    try {
+      realPath = await fs.promises.realpath(path.join(ttyDir, name));
+    } catch (error) {
+      return null;
+    }
+
+    const segments = realPath.split(path.sep);
+    const index = segments.findIndex(segment => INTERFACE_PATTERN.test(segment));
+    if (index === -1) return null;
+
+    const iface = segments[index];
+    const ifacePath = segments.slice(0, index + 1).join(path.sep);
+    const driver = await fs.promises.readlink(path.join(ifacePath, 'driver'))
+      .then(link => path.basename(link), () => null);
+
+    return {
+      name: name,
+      devicePath: `/dev/${name}`,
+      path: path.join(root, 'dev', name),
+      portPath: iface.match(INTERFACE_PATTERN)[1],
+      interface: iface,
+      interfaceNumber: parseInt(iface.split('.').pop(), 10),
+      driver: driver,
+      byId: byId.get(name) || []
+    };
+  }));
+
+  return ports
+    .filter(Boolean)
+    .sort((a, b) => a.interfaceNumber - b.interfaceNumber || a.name.localeCompare(b.name));
+}
+
+/**
+ * Whether tty devices can be listed below a sysfs root
+ */
+function isAvailable(sysfsRoot) {
+  try {
+    return fs.existsSync(path.join(sysfsRoot, 'class', 'tty'));
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  listUSBSerialPorts,
+  isAvailable
+};
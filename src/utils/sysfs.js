@@ -0,0 +1,258 @@
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Negotiated link speed as reported by sysfs (Mbps) -> USB speed name
+const SPEED_NAMES = {
+  '1.5': 'low',
+  '12': 'full',
+  '480': 'high',
+  '5000': 'super',
+  '10000': 'super-plus',
+  '20000': 'super-plus-x2'
+};
+
+/**
+ * Get the directory holding USB device entries below a sysfs root
+ */
+function getDevicesDir(sysfsRoot) {
+  return path.join(sysfsRoot, 'bus', 'usb', 'devices');
+}
+
+/**
+ * Check whether the USB device tree exists below a sysfs root
+ */
+function isAvailable(sysfsRoot) {
+  try {
+    return fs.existsSync(getDevicesDir(sysfsRoot));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Device entries are root hubs (usb1) or port paths (1-1, 1-1.4.2);
+ * interface entries (1-1:1.0) are skipped
+ */
+function isDeviceEntry(name) {
+  return /^usb\d+$/.test(name) || /^\d+-\d+(\.\d+)*$/.test(name);
+}
+
+/**
+ * Read a single sysfs attribute, returning null when it is missing
+ */
+async function readAttribute(dir, name) {
+  try {
+    const value = await fs.promises.readFile(path.join(dir, name), 'utf-8');
+    return value.trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseHex(value) {
+  return value === null ? null : parseInt(value, 16);
+}
+
+function parseDecimal(value) {
+  return value === null ? null : parseInt(value, 10);
+}
+
+/**
+ * Read the raw `descriptors` attribute, returning null when it is missing
+ */
+async function readDescriptors(dir) {
+  try {
+    return await fs.promises.readFile(path.join(dir, 'descriptors'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read one USB device entry (e.g. "1-1.2") from sysfs
+ */
+async function readUSBDevice(sysfsRoot, name) {
+  const dir = path.join(getDevicesDir(sysfsRoot), name);
+
+  const attributes = [
+    'idVendor', 'idProduct', 'manufacturer', 'product', 'serial', 'busnum', 'devnum',
+    'devpath', 'speed', 'bcdDevice', 'version', 'bDeviceClass', 'bDeviceSubClass',
+    'bDeviceProtocol', 'bNumConfigurations', 'bConfigurationValue', 'bMaxPower',
+    'maxchild', 'removable', 'authorized', 'power/runtime_status'
+  ];
+  const values = await Promise.all(attributes.map(attribute => readAttribute(dir, attribute)));
+  const attrs = Object.fromEntries(attributes.map((attribute, i) => [attribute, values[i]]));
+
+  if (attrs.idVendor === null || attrs.idProduct === null) {
+    return null;
+  }
+
+  const descriptors = await readDescriptors(dir);
+
+  return {
+    name: name,
+    sysfsPath: dir,
+    vendorId: parseHex(attrs.idVendor),
+    productId: parseHex(attrs.idProduct),
+    manufacturer: attrs.manufacturer,
+    product: attrs.product,
+    serial: attrs.serial,
+    busNumber: parseDecimal(attrs.busnum),
+    deviceAddress: parseDecimal(attrs.devnum),
+    portPath: name,
+    speed: SPEED_NAMES[attrs.speed] || null,
+    speedMbps: attrs.speed === null ? null : parseFloat(attrs.speed),
+    bcdDevice: parseHex(attrs.bcdDevice),
+    bcdUSB: attrs.version === null ? null : parseInt(attrs.version.replace('.', ''), 16),
+    deviceClass: parseHex(attrs.bDeviceClass),
+    deviceSubClass: parseHex(attrs.bDeviceSubClass),
+    deviceProtocol: parseHex(attrs.bDeviceProtocol),
+    numConfigurations: parseDecimal(attrs.bNumConfigurations),
+    configurationValue: parseDecimal(attrs.bConfigurationValue),
+    maxPower: attrs.bMaxPower === null ? null : parseInt(attrs.bMaxPower, 10),
+    descriptors: descriptors,
+    maxChild: parseDecimal(attrs.maxchild),
+    removable: attrs.removable,
+    authorized: attrs.authorized === null ? null : attrs.authorized === '1',
+    powerState: attrs['power/runtime_status']
+  };
+}
+
+/**
+ * Read every USB device currently present below a sysfs root
+ */
+async function listUSBDevices(sysfsRoot) {
+  const entries = await fs.promises.readdir(getDevicesDir(sysfsRoot));
+  const devices = await Promise.all(
+    entries.filter(isDeviceEntry).map(name => readUSBDevice(sysfsRoot, name))
+  );
+  return devices.filter(Boolean);
+}
+
+/**
+ * Port paths of the devices below a sysfs root, keyed by "<bus>-<address>",
+ * for backends that only know a device's bus address (lsusb)
+ */
+async function readPortPaths(sysfsRoot) {
+  const devicesDir = getDevicesDir(sysfsRoot);
+  const entries = (await fs.promises.readdir(devicesDir)).filter(isDeviceEntry);
+  const portPaths = new Map();
+
+  await Promise.all(entries.map(async name => {
+    const [busnum, devnum] = await Promise.all([
+      readAttribute(path.join(devicesDir, name), 'busnum'),
+      readAttribute(path.join(devicesDir, name), 'devnum')
+    ]);
+    if (busnum !== null && devnum !== null) {
+      portPaths.set(`${parseDecimal(busnum)}-${parseDecimal(devnum)}`, name);
+    }
+  }));
+  return portPaths;
+}
+
+/**
+ * Listens to kernel USB uevents through `udevadm monitor` and emits
+ * 'add'/'remove' for whole devices, and 'change' for any other device
+ * event or interface event (reported against the parent device)
+ */
+class UeventMonitor extends EventEmitter {
+  constructor() {
+    super();
+    this.process = null;
+    this.buffer = '';
+    this.stopped = false;
+  }
+
+  start() {
+    this.stopped = false;
+    this.process = spawn('udevadm', ['monitor', '--kernel', '--property', '--subsystem-match=usb']);
+
+    this.process.stdout.setEncoding('utf-8');
+    this.process.stdout.on('data', (chunk) => this.handleData(chunk));
+
+    this.process.on('error', (error) => {
+      if (!this.stopped) {
+        this.emit('error', error);
+      }
+    });
+
+    this.process.on('exit', (code, signal) => {
+      this.process = null;
+      if (!this.stopped) {
+        this.emit('error', new Error(`udevadm exited (code: ${code}, signal: ${signal})`));
+      }
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+  }
+
+  /**
+   * Events arrive as blank-line separated blocks of KEY=value properties
+   */
+  handleData(chunk) {
+    this.buffer += chunk;
+    const blocks = this.buffer.split('\n\n');
+    this.buffer = blocks.pop();
+
+    blocks.forEach(block => {
+      const event = parseUevent(block);
+      if (!event) return;
+
+      if (event.DEVTYPE === 'usb_device') {
+        const type = event.ACTION === 'add' || event.ACTION === 'remove' ? event.ACTION : 'change';
+        this.emit(type, {
+          action: event.ACTION,
+          devpath: event.DEVPATH,
+          name: path.basename(event.DEVPATH),
+          busNumber: parseDecimal(event.BUSNUM || null),
+          deviceAddress: parseDecimal(event.DEVNUM || null)
+        });
+      } else if (event.DEVTYPE === 'usb_interface') {
+        // Interfaces are named "<device>:<config>.<interface>"
+        this.emit('change', {
+          action: event.ACTION,
+          devpath: event.DEVPATH,
+          name: path.basename(event.DEVPATH).split(':')[0],
+          busNumber: null,
+          deviceAddress: null
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Parse one `udevadm monitor --property` block into a property map
+ */
+function parseUevent(block) {
+  const event = {};
+  block.split('\n').forEach(line => {
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      event[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  });
+  return event.DEVPATH ? event : null;
+}
+
+module.exports = {
+  SPEED_NAMES,
+  getDevicesDir,
+  isAvailable,
+  isDeviceEntry,
+  readAttribute,
+  readDescriptors,
+  readUSBDevice,
+  listUSBDevices,
+  readPortPaths,
+  parseUevent,
+  UeventMonitor
+};
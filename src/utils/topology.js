@@ -0,0 +1,160 @@
+/**
+ * Build the hub -> port -> device tree from device objects.
+ *
+ * Parents are found from `parentId` when the source reports nesting
+ * directly (macOS system_profiler), otherwise from `portPath` in sysfs
+ * notation ("usb1" for a root hub, "1-4.2" for port 2 of the hub on
+ * port 4 of bus 1), which both sysfs and the usb library provide.
+ */
+
+/**
+ * Split a sysfs-style port path into bus number and port chain
+ */
+function parsePortPath(portPath) {
+  if (!portPath) return null;
+
+  let match = String(portPath).match(/^usb(\d+)$/);
+  if (match) {
+    return { busNumber: parseInt(match[1], 10), ports: [] };
+  }
+
+  match = String(portPath).match(/^(\d+)-(\d+(?:\.\d+)*)$/);
+  if (match) {
+    return { busNumber: parseInt(match[1], 10), ports: match[2].split('.').map(Number) };
+  }
+
+  return null;
+}
+
+/**
+ * Port path of the hub a device is plugged into
+ */
+function getParentPortPath({ busNumber, ports }) {
+  if (ports.length === 0) return null;
+  if (ports.length === 1) return `usb${busNumber}`;
+  return `${busNumber}-${ports.slice(0, -1).join('.')}`;
+}
+
+function createNode(device, port) {
+  return {
+    id: device.id,
+    productName: device.productName || null,
+    manufacturer: device.manufacturer || null,
+    vendorId: device.vendorId ?? null,
+    productId: device.productId ?? null,
+    category: device.category || null,
+    portPath: device.portPath || null,
+    port: port ?? null,
+    isHub: device.category === 'hub' || device.maxChild > 0,
+    children: []
+  };
+}
+
+/**
+ * Placeholder for a hub or bus that is not in the device list
+ * (e.g. a root hub the backend does not enumerate)
+ */
+function createPlaceholder(portPath, port) {
+  return {
+    id: null,
+    productName: null,
+    manufacturer: null,
+    vendorId: null,
+    productId: null,
+    category: 'hub',
+    portPath: portPath,
+    port: port ?? null,
+    isHub: true,
+    placeholder: true,
+    children: []
+  };
+}
+
+/**
+ * Sort children by port, and mark anything with children as a hub
+ * (sources without class codes cannot tell otherwise)
+ */
+function finalizeTree(nodes) {
+  nodes.sort((a, b) => (a.port ?? 0) - (b.port ?? 0) || String(a.portPath).localeCompare(String(b.portPath)));
+  nodes.forEach(node => {
+    node.isHub = node.isHub || node.children.length > 0;
+    finalizeTree(node.children);
+  });
+  return nodes;
+}
+
+/**
+ * Build the topology of the connected devices.
+ * Returns root nodes (buses/root hubs) and devices whose position is unknown.
+ */
+function buildTopology(devices) {
+  const connected = devices.filter(device => device.status === 'connected');
+  const roots = [];
+  const unattached = [];
+  const nodesById = new Map();
+  const nodesByPortPath = new Map();
+
+  connected.forEach(device => {
+    const location = parsePortPath(device.portPath);
+    const port = device.port ?? (location && location.ports.length > 0 ? location.ports[location.ports.length - 1] : null);
+    const node = createNode(device, port);
+    nodesById.set(device.id, node);
+    if (location) {
+      nodesByPortPath.set(device.portPath, node);
+    }
+  });
+
+  // Get (or create) the node for a port path, creating missing hubs up the chain
+  const getPortPathNode = (portPath) => {
+    if (nodesByPortPath.has(portPath)) return nodesByPortPath.get(portPath);
+
+    const location = parsePortPath(portPath);
+    const placeholder = createPlaceholder(portPath, location.ports[location.ports.length - 1]);
+    nodesByPortPath.set(portPath, placeholder);
+    attach(placeholder, location);
+    return placeholder;
+  };
+
+  const attach = (node, location) => {
+    const parentPortPath = getParentPortPath(location);
+    if (parentPortPath) {
+      getPortPathNode(parentPortPath).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  };
+
+  connected.forEach(device => {
+    const node = nodesById.get(device.id);
+
+    if (device.parentId !== undefined) {
+      const parent = device.parentId ? nodesById.get(device.parentId) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else if (device.parentId) {
+        unattached.push(node);
+      } else {
+        roots.push(node);
+      }
+      return;
+    }
+
+    const location = parsePortPath(device.portPath);
+    if (location) {
+      attach(node, location);
+    } else {
+      unattached.push(node);
+    }
+  });
+
+  return {
+    roots: finalizeTree(roots),
+    unattached: unattached,
+    deviceCount: connected.length
+  };
+}
+
+module.exports = {
+  parsePortPath,
+  buildTopology
+};
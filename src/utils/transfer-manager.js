@@ -0,0 +1,121 @@
+const EventEmitter = require('events');
+const { Transform } = require('stream');
+
+/**
+ * Tracks in-flight transfers to USB devices so they can report progress,
+ * be cancelled, and be checked for before a device is ejected.
+ *
+ * Emits:
+ *   - 'progress' (transfer)   throttled to one per `progressInterval` ms
+ *   - 'complete' (transfer)   status is completed, failed or cancelled
+ */
+class TransferManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.progressInterval = options.progressInterval ?? 250;
+    this.transfers = new Map();
+  }
+
+  /**
+   * Register a transfer. The returned record carries an AbortSignal that
+   * is aborted by cancel().
+   */
+  start({ id, deviceId, path, totalBytes = null }) {
+    const transferId = id || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    if (this.transfers.has(transferId)) {
+      throw new Error(`Transfer ${transferId} is already in progress`);
+    }
+
+    const controller = new AbortController();
+    const transfer = {
+      id: transferId,
+      deviceId: deviceId,
+      path: path,
+      bytesWritten: 0,
+      totalBytes: totalBytes,
+      status: 'in-progress',
+      startedAt: new Date().toISOString(),
+      controller: controller,
+      lastProgressAt: 0
+    };
+
+    this.transfers.set(transferId, transfer);
+    return transfer;
+  }
+
+  /**
+   * Stream that counts bytes passing through it for a transfer
+   */
+  createProgressStream(transfer) {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        transfer.bytesWritten += chunk.length;
+
+        const now = Date.now();
+        if (now - transfer.lastProgressAt >= this.progressInterval) {
+          transfer.lastProgressAt = now;
+          this.emit('progress', this.toJSON(transfer));
+        }
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Finish a transfer, removing it from the in-flight list
+   */
+  finish(transfer, status, extra = {}) {
+    transfer.status = status;
+    transfer.finishedAt = new Date().toISOString();
+    Object.assign(transfer, extra);
+    this.transfers.delete(transfer.id);
+
+    const result = this.toJSON(transfer);
+    this.emit('complete', result);
+    return result;
+  }
+
+  /**
+   * Abort an in-flight transfer; returns false when it is unknown
+   */
+  cancel(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return false;
+
+    transfer.controller.abort();
+    return true;
+  }
+
+  get(transferId) {
+    const transfer = this.transfers.get(transferId);
+    return transfer ? this.toJSON(transfer) : null;
+  }
+
+  /**
+   * In-flight transfers, optionally for one device
+   */
+  list(deviceId = null) {
+    return Array.from(this.transfers.values())
+      .filter(transfer => !deviceId || transfer.deviceId === deviceId)
+      .map(transfer => this.toJSON(transfer));
+  }
+
+  /**
+   * Cancel everything (used on shutdown)
+   */
+  cancelAll() {
+    this.transfers.forEach(transfer => transfer.controller.abort());
+  }
+
+  toJSON(transfer) {
+    const { controller, lastProgressAt, ...data } = transfer;
+    return {
+      ...data,
+      percent: transfer.totalBytes
+        ? Math.min(100, Math.round((transfer.bytesWritten / transfer.totalBytes) * 100))
+        : null
+    };
+  }
+}
+
+module.exports = TransferManager;
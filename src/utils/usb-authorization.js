@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const sysfs = require('./sysfs');
+
+/**
+ * Linux USB authorization through sysfs. Writing 0 to a device's
+ * `authorized` attribute unbinds its drivers and keeps them unbound;
+ * writing 0 to an interface's (1-1:1.0) does the same for that
+ * interface only. A root hub's `authorized_default` decides whether
+ * devices plugged in below it start out authorized.
+ */
+
+const ROOT_HUB_PATTERN = /^usb\d+$/;
+
+function isRootHub(entry) {
+  return ROOT_HUB_PATTERN.test(entry);
+}
+
+/**
+ * sysfs entry name of an interface ("1-1:1.0")
+ */
+function interfaceEntry(portPath, configurationValue, interfaceNumber) {
+  return `${portPath}:${configurationValue}.${interfaceNumber}`;
+}
+
+/**
+ * Write a device or interface entry's `authorized` attribute
+ */
+async function setAuthorized(sysfsRoot, entry, authorized) {
+  if (isRootHub(entry) && !authorized) {
+    throw new Error(`Refusing to deauthorize root hub ${entry}`);
+  }
+  await fs.promises.writeFile(path.join(sysfs.getDevicesDir(sysfsRoot), entry, 'authorized'), authorized ? '1' : '0');
+}
+
+/**
+ * Set `authorized_default` on every root hub that has another value,
+ * returning the hubs written
+ */
+async function setAuthorizedDefault(sysfsRoot, authorized) {
+  const devicesDir = sysfs.getDevicesDir(sysfsRoot);
+  const value = authorized ? '1' : '0';
+  const hubs = (await fs.promises.readdir(devicesDir)).filter(isRootHub);
+  const current = await Promise.all(hubs.map(hub => sysfs.readAttribute(path.join(devicesDir, hub), 'authorized_default')));
+  const changed = hubs.filter((hub, index) => current[index] !== null && current[index] !== value);
+
+  await Promise.all(changed.map(hub =>
+    fs.promises.writeFile(path.join(devicesDir, hub, 'authorized_default'), value)
+  ));
+  return changed;
+}
+
+module.exports = {
+  isRootHub,
+  interfaceEntry,
+  setAuthorized,
+  setAuthorizedDefault
+};
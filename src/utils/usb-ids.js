@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundled subset, used when the system has no usb.ids
+const DEFAULT_USB_IDS_PATH = path.join(__dirname, '../../data/usb.ids');
+
+// Full databases installed by hwdata / usbutils
+const SYSTEM_USB_IDS_PATHS = [
+  '/usr/share/hwdata/usb.ids',
+  '/usr/share/misc/usb.ids',
+  '/usr/share/usb.ids',
+  '/var/lib/usbutils/usb.ids'
+];
+
+/**
+ * The system usb.ids when one is installed, else the bundled subset
+ */
+function findUSBIdsPath(candidates = SYSTEM_USB_IDS_PATHS) {
+  return candidates.find(candidate => fs.existsSync(candidate)) || DEFAULT_USB_IDS_PATH;
+}
+
+function toKey(value, width) {
+  return value.toString(16).padStart(width, '0');
+}
+
+/**
+ * Vendor, product and class name database in the usb.ids format
+ * (http://www.linux-usb.org/usb.ids)
+ */
+class USBIdsDatabase {
+  constructor() {
+    this.vendors = new Map();
+    this.classes = new Map();
+    this.source = null;
+  }
+
+  /**
+   * Load a usb.ids file (synchronously, it is read once at startup)
+   */
+  load(filePath = DEFAULT_USB_IDS_PATH) {
+    this.parse(fs.readFileSync(filePath, 'latin1'));
+    this.source = filePath;
+    return this;
+  }
+
+  /**
+   * Parse usb.ids content. Only the vendor/product and class sections are
+   * kept; other sections (HID usages, languages, ...) are skipped.
+   */
+  parse(content) {
+    this.vendors.clear();
+    this.classes.clear();
+
+    let vendor = null;
+    let usbClass = null;
+    let subclass = null;
+
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.replace(/\r$/, '');
+      if (!line.trim() || line.startsWith('#')) return;
+
+      let match;
+      if ((match = line.match(/^([0-9a-f]{4})\s+(.+)$/i))) {
+        vendor = { name: match[2].trim(), products: new Map() };
+        this.vendors.set(match[1].toLowerCase(), vendor);
+        usbClass = null;
+      } else if ((match = line.match(/^C ([0-9a-f]{2})\s+(.+)$/i))) {
+        usbClass = { name: match[2].trim(), subclasses: new Map() };
+        this.classes.set(match[1].toLowerCase(), usbClass);
+        vendor = null;
+      } else if (vendor && (match = line.match(/^\t([0-9a-f]{4})\s+(.+)$/i))) {
+        vendor.products.set(match[1].toLowerCase(), match[2].trim());
+      } else if (usbClass && (match = line.match(/^\t([0-9a-f]{2})\s+(.+)$/i))) {
+        subclass = { name: match[2].trim(), protocols: new Map() };
+        usbClass.subclasses.set(match[1].toLowerCase(), subclass);
+      } else if (usbClass && subclass && (match = line.match(/^\t\t([0-9a-f]{2})\s+(.+)$/i))) {
+        subclass.protocols.set(match[1].toLowerCase(), match[2].trim());
+      } else if (!line.startsWith('\t')) {
+        // Start of another section
+        vendor = null;
+        usbClass = null;
+        subclass = null;
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Get the vendor name for a vendor ID
+   */
+  lookupVendor(vendorId) {
+    if (vendorId === null || vendorId === undefined) return null;
+    const vendor = this.vendors.get(toKey(vendorId, 4));
+    return vendor ? vendor.name : null;
+  }
+
+  /**
+   * Get the product name for a vendor/product ID pair
+   */
+  lookupProduct(vendorId, productId) {
+    if (vendorId === null || vendorId === undefined || productId === null || productId === undefined) return null;
+    const vendor = this.vendors.get(toKey(vendorId, 4));
+    return vendor ? vendor.products.get(toKey(productId, 4)) || null : null;
+  }
+
+  /**
+   * Get class, subclass and protocol names for a class triple
+   */
+  lookupClass(classCode, subclassCode, protocolCode) {
+    const result = { className: null, subclassName: null, protocolName: null };
+    if (classCode === null || classCode === undefined) return result;
+
+    const usbClass = this.classes.get(toKey(classCode, 2));
+    if (!usbClass) return result;
+    result.className = usbClass.name;
+
+    const subclass = subclassCode === null || subclassCode === undefined
+      ? null
+      : usbClass.subclasses.get(toKey(subclassCode, 2));
+    if (!subclass) return result;
+    result.subclassName = subclass.name;
+
+    result.protocolName = protocolCode === null || protocolCode === undefined
+      ? null
+      : subclass.protocols.get(toKey(protocolCode, 2)) || null;
+    return result;
+  }
+
+  /**
+   * Database summary for status reporting
+   */
+  getStats() {
+    return {
+      source: this.source,
+      vendors: this.vendors.size,
+      classes: this.classes.size
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_USB_IDS_PATH,
+  SYSTEM_USB_IDS_PATHS,
+  findUSBIdsPath,
+  USBIdsDatabase
+};
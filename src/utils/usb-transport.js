@@ -0,0 +1,114 @@
+/**
+ * Raw control and bulk transfers through the usb library. The manager
+ * talks to any object with the same two methods, so a mock transport can
+ * stand in for hardware:
+ *
+ *   control(device, { bmRequestType, bRequest, wValue, wIndex, length, data, timeout })
+ *   bulk(device, { interfaceNumber, endpoint, length, data, timeout })
+ *
+ * `device` is the manager's device info; IN transfers resolve with a
+ * Buffer, OUT transfers with the number of bytes sent. usb library errors
+ * carry the libusb name in their message only, so it is copied to `code`.
+ */
+
+function withErrorCode(error) {
+  const match = !error.code && /LIBUSB_[A-Z_]+/.exec(error.message || '');
+  if (match) {
+    error.code = match[0];
+  }
+  return error;
+}
+
+class UsbTransport {
+  constructor(usbLib) {
+    this.usbLib = usbLib;
+  }
+
+  /**
+   * Open the usb library device at the device's bus address
+   */
+  open(device) {
+    const usbDevice = this.usbLib.getDeviceList().find(candidate =>
+      candidate.busNumber === device.busNumber && candidate.deviceAddress === device.deviceAddress);
+    if (!usbDevice) {
+      const error = new Error(`Device not found on bus ${device.busNumber} address ${device.deviceAddress}`);
+      error.code = 'LIBUSB_ERROR_NO_DEVICE';
+      throw error;
+    }
+
+    try {
+      usbDevice.open();
+    } catch (error) {
+      throw withErrorCode(error);
+    }
+    return usbDevice;
+  }
+
+  async control(device, { bmRequestType, bRequest, wValue, wIndex, length, data, timeout }) {
+    const usbDevice = this.open(device);
+    usbDevice.timeout = timeout;
+
+    try {
+      const isIn = (bmRequestType & 0x80) !== 0;
+      const result = await new Promise((resolve, reject) => {
+        usbDevice.controlTransfer(bmRequestType, bRequest, wValue, wIndex, isIn ? length : data, (error, buffer) => {
+          error ? reject(withErrorCode(error)) : resolve(buffer);
+        });
+      });
+      return isIn ? result : data.length;
+    } finally {
+      usbDevice.close();
+    }
+  }
+
+  /**
+   * Claim the endpoint's interface for the transfer, detaching a kernel
+   * driver (and reattaching it afterwards) where the platform requires it
+   */
+  async bulk(device, { interfaceNumber, endpoint, length, data, timeout }) {
+    const usbDevice = this.open(device);
+    const iface = usbDevice.interface(interfaceNumber);
+    if (!iface) {
+      usbDevice.close();
+      throw new Error(`Interface ${interfaceNumber} is not in the active configuration`);
+    }
+    let detached = false;
+    let claimed = false;
+
+    try {
+      if (process.platform === 'linux' && iface.isKernelDriverActive()) {
+        iface.detachKernelDriver();
+        detached = true;
+      }
+      iface.claim();
+      claimed = true;
+
+      const target = iface.endpoint(endpoint);
+      target.timeout = timeout;
+
+      return await new Promise((resolve, reject) => {
+        if (target.direction === 'in') {
+          target.transfer(length, (error, buffer) => error ? reject(error) : resolve(buffer));
+        } else {
+          target.transfer(data, error => error ? reject(error) : resolve(data.length));
+        }
+      });
+    } catch (error) {
+      throw withErrorCode(error);
+    } finally {
+      if (claimed) {
+        await new Promise(resolve => iface.release(true, () => resolve()));
+      }
+      if (detached) {
+        try {
+          iface.attachKernelDriver();
+        } catch (error) {
+          // driver may have been unbound meanwhile
+        }
+      }
+      usbDevice.close();
+    }
+  }
+}
+
+module.exports = UsbTransport;
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File operations confined to a volume root. Paths are relative to the
+ * root; anything that resolves outside it, directly or through a symlink,
+ * is rejected with code PATH_OUTSIDE_VOLUME. Errors otherwise carry the
+ * fs error code (ENOENT, EEXIST, ...).
+ */
+
+function fileError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  // "..foo" is a name inside the root; only a ".." segment leaves it
+  return !(relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative));
+}
+
+/**
+ * Real path of the deepest existing ancestor of `target`, with the
+ * missing components appended
+ */
+async function realpathExisting(target) {
+  const missing = [];
+  let current = target;
+
+  for (;;) {
+    try {
+      return path.join(await fs.promises.realpath(current), ...missing);
+    } catch (error) {
+      if (error.code !== 'ENOENT' || path.dirname(current) === current) throw error;
+      missing.unshift(path.basename(current));
+      current = path.dirname(current);
+    }
+  }
+}
+
+/**
+ * Resolve a relative path inside a volume. The parent directory is fully
+ * resolved and checked; the last component is left as is, so symlinks can
+ * be renamed or deleted themselves. Use `follow` before reading through it.
+ */
+async function resolve(root, relativePath = '') {
+  if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+    throw fileError('Invalid path', 'INVALID_PATH');
+  }
+
+  const realRoot = await fs.promises.realpath(root);
+  const target = path.resolve(realRoot, `.${path.sep}${relativePath}`);
+  if (!isInside(realRoot, target)) {
+    throw fileError('Path is outside the volume', 'PATH_OUTSIDE_VOLUME');
+  }
+
+  if (target === realRoot) {
+    return { root: realRoot, fullPath: realRoot, relativePath: '', isRoot: true };
+  }
+
+  const parent = await realpathExisting(path.dirname(target));
+  if (!isInside(realRoot, parent)) {
+    throw fileError('Path is outside the volume', 'PATH_OUTSIDE_VOLUME');
+  }
+
+  const fullPath = path.join(parent, path.basename(target));
+  return {
+    root: realRoot,
+    fullPath: fullPath,
+    relativePath: toRelative(realRoot, fullPath),
+    isRoot: false
+  };
+}
+
+/**
+ * Follow symlinks of a resolved path, rejecting targets outside the volume
+ */
+async function follow(resolved) {
+  const real = await fs.promises.realpath(resolved.fullPath);
+  if (!isInside(resolved.root, real)) {
+    throw fileError('Path is outside the volume', 'PATH_OUTSIDE_VOLUME');
+  }
+  return real;
+}
+
+function toRelative(root, fullPath) {
+  return path.relative(root, fullPath).split(path.sep).join('/');
+}
+
+function fileType(stats) {
+  if (stats.isDirectory()) return 'directory';
+  if (stats.isFile()) return 'file';
+  if (stats.isSymbolicLink()) return 'symlink';
+  return 'other';
+}
+
+function describe(root, fullPath, stats) {
+  return {
+    name: path.basename(fullPath),
+    path: toRelative(root, fullPath),
+    type: fileType(stats),
+    size: stats.size,
+    modifiedAt: stats.mtime.toISOString(),
+    createdAt: stats.birthtime.toISOString()
+  };
+}
+
+/**
+ * Entries of a directory (symlinks are listed as such, not followed)
+ */
+async function list(root, relativePath) {
+  const resolved = await resolve(root, relativePath);
+  const dir = await follow(resolved);
+  const entries = await fs.promises.readdir(dir);
+
+  const items = await Promise.all(entries.map(async name => {
+    try {
+      const stats = await fs.promises.lstat(path.join(dir, name));
+      return describe(resolved.root, path.join(resolved.fullPath, name), stats);
+    } catch (error) {
+      return null;
+    }
+  }));
+
+  return items
+    .filter(Boolean)
+    .sort((a, b) => (a.type === 'directory' ? 0 : 1) - (b.type === 'directory' ? 0 : 1) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Metadata of a file or directory, following symlinks inside the volume
+ */
+async function stat(root, relativePath) {
+  const resolved = await resolve(root, relativePath);
+  const stats = await fs.promises.stat(await follow(resolved));
+  return describe(resolved.root, resolved.fullPath, stats);
+}
+
+/**
+ * Real path and size of a regular file to be read
+ */
+async function openable(root, relativePath) {
+  const resolved = await resolve(root, relativePath);
+  const real = await follow(resolved);
+  const stats = await fs.promises.stat(real);
+  if (!stats.isFile()) {
+    throw fileError('Not a regular file', stats.isDirectory() ? 'EISDIR' : 'INVALID_PATH');
+  }
+  return { fullPath: real, name: path.basename(resolved.fullPath), size: stats.size };
+}
+
+/**
+ * Resolve a file to be written, creating missing parent directories.
+ * An existing symlink is only written through when its target is inside
+ * the volume.
+ */
+async function writable(root, relativePath) {
+  const resolved = await resolve(root, relativePath);
+  if (resolved.isRoot) {
+    throw fileError('A file name is required', 'INVALID_PATH');
+  }
+
+  await fs.promises.mkdir(path.dirname(resolved.fullPath), { recursive: true });
+
+  try {
+    const real = await follow(resolved);
+    if ((await fs.promises.stat(real)).isDirectory()) {
+      throw fileError('Path is a directory', 'EISDIR');
+    }
+    return { ...resolved, fullPath: real };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return resolved;
+  }
+}
+
+async function createDirectory(root, relativePath, { recursive = false } = {}) {
+  const resolved = await resolve(root, relativePath);
+  if (resolved.isRoot) {
+    throw fileError('Directory already exists', 'EEXIST');
+  }
+
+  await fs.promises.mkdir(resolved.fullPath, { recursive });
+  return describe(resolved.root, resolved.fullPath, await fs.promises.stat(resolved.fullPath));
+}
+
+/**
+ * Rename or move within the volume; an existing destination is not replaced
+ */
+async function rename(root, fromPath, toPath) {
+  const from = await resolve(root, fromPath);
+  const to = await resolve(root, toPath);
+  if (from.isRoot || to.isRoot) {
+    throw fileError('Cannot rename the volume root', 'INVALID_PATH');
+  }
+
+  await fs.promises.lstat(from.fullPath);
+  try {
+    await fs.promises.lstat(to.fullPath);
+    throw fileError(`Destination already exists: ${to.relativePath}`, 'EEXIST');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  await fs.promises.rename(from.fullPath, to.fullPath);
+  return describe(to.root, to.fullPath, await fs.promises.lstat(to.fullPath));
+}
+
+/**
+ * Delete a file, symlink or empty directory (any directory with `recursive`)
+ */
+async function remove(root, relativePath, { recursive = false } = {}) {
+  const resolved = await resolve(root, relativePath);
+  if (resolved.isRoot) {
+    throw fileError('Cannot delete the volume root', 'INVALID_PATH');
+  }
+
+  const stats = await fs.promises.lstat(resolved.fullPath);
+  if (stats.isDirectory()) {
+    await (recursive
+      ? fs.promises.rm(resolved.fullPath, { recursive: true })
+      : fs.promises.rmdir(resolved.fullPath));
+  } else {
+    await fs.promises.unlink(resolved.fullPath);
+  }
+  return describe(resolved.root, resolved.fullPath, stats);
+}
+
+module.exports = {
+  resolve,
+  follow,
+  list,
+  stat,
+  openable,
+  writable,
+  createDirectory,
+  rename,
+  remove
+};
@@ -0,0 +1,108 @@
+const EventEmitter = require('events');
+const path = require('path');
+const chokidar = require('chokidar');
+
+// Temp files of atomic writes (".<name>.<12 hex>.tmp"), renamed away when done
+const TEMP_FILE_PATTERN = /(^|[\\/])\.[^\\/]+\.[0-9a-f]{12}\.tmp$/;
+
+const EVENTS = {
+  add: { event: 'added', directory: false },
+  addDir: { event: 'added', directory: true },
+  change: { event: 'changed', directory: false },
+  unlink: { event: 'removed', directory: false },
+  unlinkDir: { event: 'removed', directory: true }
+};
+
+/**
+ * File-change watchers on mounted volumes, one per mount point. Files
+ * are reported once they stop growing, so a file being copied onto the
+ * drive is announced when the copy has finished.
+ *
+ * Emits:
+ *   - 'change' ({ deviceId, volume, mountPoint, event, path, directory })
+ *     event is added, changed or removed; path is relative to the volume
+ *   - 'error'  (error, watch)
+ */
+class VolumeWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.stabilityMs = options.stabilityMs ?? 500;
+    this.usePolling = !!options.usePolling;
+    this.watchers = new Map();
+  }
+
+  /**
+   * Start watching a mount point under `key` (no-op if already watched)
+   */
+  watch(key, { deviceId, volume, mountPoint }) {
+    if (this.watchers.has(key)) return;
+
+    const watcher = chokidar.watch(mountPoint, {
+      ignoreInitial: true,
+      followSymlinks: false,
+      usePolling: this.usePolling,
+      ignored: file => TEMP_FILE_PATTERN.test(file),
+      awaitWriteFinish: this.stabilityMs > 0 ? { stabilityThreshold: this.stabilityMs } : false
+    });
+    const watch = { key, deviceId, volume, mountPoint, watcher, startedAt: new Date().toISOString() };
+
+    watcher.on('all', (name, file) => {
+      const mapped = EVENTS[name];
+      const relativePath = path.relative(mountPoint, file).split(path.sep).join('/');
+      if (!mapped || !relativePath) return;
+
+      this.emit('change', {
+        deviceId: deviceId,
+        volume: volume,
+        mountPoint: mountPoint,
+        event: mapped.event,
+        path: relativePath,
+        directory: mapped.directory
+      });
+    });
+    watcher.on('error', error => this.emit('error', error, this.toJSON(watch)));
+
+    this.watchers.set(key, watch);
+  }
+
+  /**
+   * Stop a watcher, returning whether there was one
+   */
+  unwatch(key) {
+    const watch = this.watchers.get(key);
+    if (!watch) return false;
+
+    this.watchers.delete(key);
+    watch.watcher.close().catch(() => {});
+    return true;
+  }
+
+  /**
+   * Stop every watcher of a device, except the keys in `keep`
+   */
+  unwatchDevice(deviceId, keep = new Set()) {
+    Array.from(this.watchers.values())
+      .filter(watch => watch.deviceId === deviceId && !keep.has(watch.key))
+      .forEach(watch => this.unwatch(watch.key));
+  }
+
+  unwatchAll() {
+    Array.from(this.watchers.keys()).forEach(key => this.unwatch(key));
+  }
+
+  /**
+   * Active watches, optionally for one device
+   */
+  list(deviceId = null) {
+    return Array.from(this.watchers.values())
+      .filter(watch => !deviceId || watch.deviceId === deviceId)
+      .map(watch => this.toJSON(watch));
+  }
+
+  toJSON(watch) {
+    const { watcher, key, ...data } = watch;
+    return data;
+  }
+}
+
+module.exports = VolumeWatcher;
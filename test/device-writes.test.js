@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const blockDevices = require('../src/utils/block-devices');
+const { writeAtomic } = require('../src/utils/atomic-write');
+const { createManager, createDevice } = require('./helpers/manager');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+describe('device writes', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'writes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('writeAtomic', () => {
+    it('keeps the mode of the file it replaces', async () => {
+      const target = path.join(dir, 'script.sh');
+      fs.writeFileSync(target, 'old');
+      fs.chmodSync(target, 0o750);
+
+      const result = await writeAtomic(target, Readable.from([Buffer.from('new')]));
+
+      assert.equal(fs.readFileSync(target, 'utf-8'), 'new');
+      assert.equal(fs.statSync(target).mode & 0o7777, 0o750);
+      assert.equal(result.hash, sha256('new'));
+      assert.equal(result.verified, true);
+    });
+
+    it('leaves the old file and no temp file on a hash mismatch', async () => {
+      const target = path.join(dir, 'data.bin');
+      fs.writeFileSync(target, 'old');
+
+      await assert.rejects(
+        writeAtomic(target, Readable.from([Buffer.from('new')]), { expectedHash: sha256('other') }),
+        { code: 'CHECKSUM_MISMATCH' }
+      );
+
+      assert.equal(fs.readFileSync(target, 'utf-8'), 'old');
+      assert.deepEqual(fs.readdirSync(dir), ['data.bin']);
+    });
+  });
+
+  describe('writeFileToUSB', () => {
+    it('looks up the mount point once', async () => {
+      const manager = createManager();
+      const device = createDevice();
+      manager.devices.set(device.id, device);
+
+      let lookups = 0;
+      manager.findMountPointForDevice = async () => {
+        lookups++;
+        return dir;
+      };
+
+      const result = await manager.writeFileToUSB(device.id, 'notes.txt', 'hello');
+
+      assert.equal(result.success, true);
+      assert.equal(result.path, path.join(dir, 'notes.txt'));
+      assert.equal(fs.readFileSync(result.path, 'utf-8'), 'hello');
+      assert.equal(lookups, 1);
+    });
+  });
+
+  describe('space check', () => {
+    const { readCapacity } = blockDevices;
+
+    afterEach(() => {
+      blockDevices.readCapacity = readCapacity;
+    });
+
+    it('counts the size of the file being replaced as free', async () => {
+      const manager = createManager();
+      const device = createDevice();
+      fs.writeFileSync(path.join(dir, 'big.bin'), Buffer.alloc(100));
+      blockDevices.readCapacity = async () => ({ totalBytes: 1000, usedBytes: 950, freeBytes: 50 });
+
+      await manager.checkWritableSpace(device, dir, 120, 'big.bin');
+      await assert.rejects(manager.checkWritableSpace(device, dir, 200, 'big.bin'), error => {
+        assert.equal(error.code, 'INSUFFICIENT_SPACE');
+        assert.equal(error.requiredBytes, 100);
+        assert.equal(error.freeBytes, 50);
+        return true;
+      });
+      await assert.rejects(manager.checkWritableSpace(device, dir, 120, 'new.bin'), { code: 'INSUFFICIENT_SPACE' });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createManager, createDevice, recordEvents } = require('./helpers/manager');
+
+function createVolume(name, mountPoint, overrides = {}) {
+  return {
+    name: name,
+    devicePath: `/dev/${name}`,
+    portPath: '1-1',
+    fsType: 'vfat',
+    mountPoints: [mountPoint],
+    readOnly: false,
+    ...overrides
+  };
+}
+
+/**
+ * Manager with one device holding `volumes`, whose commands are recorded
+ * and fail when `fail(command, args)` returns an error
+ */
+function createEjectManager(volumes, fail = () => null) {
+  const commands = [];
+  const manager = createManager({
+    commandRunner: async (command, args) => {
+      commands.push([command, ...args]);
+      const error = fail(command, args);
+      if (error) throw error;
+      return { stdout: '', stderr: '' };
+    }
+  });
+  const device = createDevice({ volumes });
+  manager.devices.set(device.id, device);
+  return { manager, device, commands };
+}
+
+describe('eject', () => {
+  it('syncs and unmounts every mount point', async () => {
+    const { manager, device, commands } = createEjectManager([
+      createVolume('sdb1', '/media/a'),
+      createVolume('sdb2', '/media/b')
+    ]);
+    const events = recordEvents(manager, ['deviceEjected']);
+
+    const result = await manager.ejectDevice(device.id);
+
+    assert.deepEqual(commands, [['sync'], ['umount', '/media/a'], ['umount', '/media/b']]);
+    assert.deepEqual(result.unmounted, ['/media/a', '/media/b']);
+    assert.equal(events.deviceEjected.length, 1);
+    assert.equal(manager.ejecting.has(device.id), false);
+  });
+
+  it('remounts what it unmounted when a later umount fails', async () => {
+    const { manager, device, commands } = createEjectManager([
+      createVolume('sdb1', '/media/a'),
+      createVolume('sdb2', '/media/b', { readOnly: true }),
+      createVolume('sdb3', '/media/c')
+    ], (command, args) => {
+      if (command !== 'umount' || args[0] !== '/media/c') return null;
+      return Object.assign(new Error('Command failed'), { stderr: 'umount: /media/c: target is busy.' });
+    });
+    const events = recordEvents(manager, ['deviceEjected']);
+
+    await assert.rejects(manager.ejectDevice(device.id), error => {
+      assert.equal(error.code, 'EBUSY');
+      assert.deepEqual(error.remounted, ['/media/b', '/media/a']);
+      assert.deepEqual(error.remountFailed, []);
+      return true;
+    });
+
+    assert.deepEqual(commands, [
+      ['sync'],
+      ['umount', '/media/a'],
+      ['umount', '/media/b'],
+      ['umount', '/media/c'],
+      ['mount', '-t', 'vfat', '-o', 'ro', '/dev/sdb2', '/media/b'],
+      ['mount', '-t', 'vfat', '/dev/sdb1', '/media/a']
+    ]);
+    assert.equal(events.deviceEjected.length, 0);
+    assert.equal(manager.ejecting.has(device.id), false);
+  });
+
+  it('reports mount points it could not remount', async () => {
+    const { manager, device } = createEjectManager([
+      createVolume('sdb1', '/media/a'),
+      createVolume('sdb2', '/media/b')
+    ], (command, args) => {
+      if (command === 'umount' && args[0] === '/media/b') return new Error('umount: /media/b: not mounted');
+      if (command === 'mount') return new Error('mount: /media/a: permission denied');
+      return null;
+    });
+
+    await assert.rejects(manager.ejectDevice(device.id), error => {
+      assert.equal(error.code, 'UNMOUNT_FAILED');
+      assert.deepEqual(error.remounted, []);
+      assert.deepEqual(error.remountFailed, ['/media/a']);
+      return true;
+    });
+  });
+
+  it('does not start ingest runs while a device is being ejected', () => {
+    const { manager, device } = createEjectManager([createVolume('sdb1', '/media/a')]);
+    const started = [];
+    manager.ingest.matchRules = () => [{ id: 'photos' }];
+    manager.ingest.start = (rule, ingestDevice, volume, mountPoint) => started.push(mountPoint);
+
+    manager.ejecting.add(device.id);
+    manager.triggerIngest(device);
+    assert.deepEqual(started, []);
+
+    manager.ejecting.delete(device.id);
+    manager.triggerIngest(device);
+    assert.deepEqual(started, ['/media/a']);
+  });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { createManager, createDevice, recordEvents } = require('./helpers/manager');
+
+describe('flapping devices', () => {
+  it('report a device that settles connected as updated, not connected again', async () => {
+    const manager = createManager({ debounceMs: 1000, flapThreshold: 2, flapWindowMs: 30 });
+    const events = recordEvents(manager, ['deviceConnected', 'deviceDisconnected', 'deviceUpdated', 'deviceFlapping']);
+
+    manager.handleDeviceConnect(createDevice());
+    manager.handleDeviceDisconnect(createDevice());
+    manager.handleDeviceConnect(createDevice());
+    assert.equal(manager.getDevice(createDevice().id).flapping, true);
+
+    await delay(60);
+
+    assert.equal(events.deviceConnected.length, 1);
+    assert.equal(events.deviceDisconnected.length, 0);
+    assert.deepEqual(events.deviceFlapping.map(event => event.flapping), [true, false]);
+    assert.equal(events.deviceUpdated.length, 1);
+    assert.deepEqual(events.deviceUpdated[0].changes, [{ field: 'flapping', from: true, to: false }]);
+    assert.equal(events.deviceUpdated[0].device.flapping, false);
+  });
+});
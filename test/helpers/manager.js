@@ -0,0 +1,51 @@
+const RobustUSBManager = require('../../src/usb-manager-robust');
+
+/**
+ * Manager on the simulated backend (not started), with sysfs and
+ * storage roots that do not exist unless overridden
+ */
+function createManager(options = {}) {
+  return new RobustUSBManager({
+    monitoringMethod: 'simulated',
+    sysfsRoot: '/nonexistent-sysfs',
+    storageRoot: '/nonexistent-storage',
+    volumeRefreshInterval: 0,
+    ...options
+  });
+}
+
+/**
+ * Device info as a backend reports it once enriched
+ */
+function createDevice(overrides = {}) {
+  return {
+    id: 'usb-0781-5567-4C530001',
+    vendorId: 0x0781,
+    productId: 0x5567,
+    serialNumber: '4C530001',
+    manufacturer: 'SanDisk',
+    productName: 'Cruzer Blade',
+    busNumber: 1,
+    deviceAddress: 2,
+    portPath: '1-1',
+    deviceClass: 0,
+    status: 'connected',
+    lastSeen: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+/**
+ * Collect the events a manager emits, by name
+ */
+function recordEvents(manager, names) {
+  const events = Object.fromEntries(names.map(name => [name, []]));
+  names.forEach(name => manager.on(name, (...args) => events[name].push(args.length > 1 ? args : args[0])));
+  return events;
+}
+
+module.exports = {
+  createManager,
+  createDevice,
+  recordEvents
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Build a fake sysfs root in a temp directory from
+ * { '<entry>': { '<attribute>': value } }, e.g.
+ * { '1-1': { idVendor: '0781', idProduct: '5567', busnum: '1', devnum: '2' } }
+ */
+function createSysfsTree(entries) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sysfs-'));
+  const devicesDir = path.join(root, 'bus', 'usb', 'devices');
+  fs.mkdirSync(devicesDir, { recursive: true });
+
+  Object.entries(entries).forEach(([entry, attributes]) => {
+    const dir = path.join(devicesDir, entry);
+    fs.mkdirSync(dir, { recursive: true });
+    Object.entries(attributes).forEach(([name, value]) => {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), `${value}\n`);
+    });
+  });
+  return root;
+}
+
+/**
+ * Read an attribute back from a fake sysfs root
+ */
+function readSysfsAttribute(root, entry, name) {
+  return fs.readFileSync(path.join(root, 'bus', 'usb', 'devices', entry, name), 'utf-8').trim();
+}
+
+function removeSysfsTree(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+module.exports = {
+  createSysfsTree,
+  readSysfsAttribute,
+  removeSysfsTree
+};
@@ -0,0 +1,56 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const IngestManager = require('../src/utils/ingest-manager');
+
+describe('ingest manager', () => {
+  let dir;
+  let volumeDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-'));
+    volumeDir = path.join(dir, 'volume');
+    fs.mkdirSync(path.join(volumeDir, 'logs'), { recursive: true });
+    fs.writeFileSync(path.join(volumeDir, 'logs', 'a.csv'), 'a');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps placeholder values to a single folder name', () => {
+    const ingest = new IngestManager();
+    const rule = { destination: '/srv/ingest/{label}/{deviceId}' };
+
+    assert.equal(ingest.resolveDestination(rule, { id: 'usb-1' }, { label: '..' }), '/srv/ingest/__/usb-1');
+    assert.equal(ingest.resolveDestination(rule, { id: 'usb-1' }, { label: '.' }), '/srv/ingest/_/usb-1');
+    assert.equal(ingest.resolveDestination(rule, { id: 'usb-1' }, { label: '../etc' }), '/srv/ingest/.._etc/usb-1');
+    assert.equal(ingest.resolveDestination(rule, { id: 'usb-1' }, { label: '..foo' }), '/srv/ingest/..foo/usb-1');
+    assert.equal(ingest.resolveDestination(rule, { id: 'usb-1' }, { label: null }), '/srv/ingest/unknown/usb-1');
+  });
+
+  it('refuses destinations outside the base directory', () => {
+    const ingest = new IngestManager();
+
+    assert.doesNotThrow(() => ingest.checkDestination({ destination: '/srv/ingest/{label}' }, '/srv/ingest/CAM'));
+    assert.doesNotThrow(() => ingest.checkDestination({ destination: '/srv/cam-{label}' }, '/srv/cam-A'));
+    assert.throws(() => ingest.checkDestination({ destination: '/srv/ingest/{label}' }, '/srv/ingest/../etc'), /outside/);
+    assert.throws(() => ingest.checkDestination({ destination: '/srv/ingest/{label}' }, '/srv/ingest-other'), /outside/);
+  });
+
+  it('copies a dot-only label into its own folder', async () => {
+    const rule = { id: 'logs', destination: path.join(dir, 'dest', '{label}') };
+    const ingest = new IngestManager({ rules: [rule] });
+
+    ingest.start(rule, { id: 'usb-1' }, { devicePath: '/dev/sdb1', label: '..' }, volumeDir);
+    const [run] = await once(ingest, 'completed');
+
+    assert.equal(run.status, 'completed');
+    assert.equal(run.copied, 1);
+    assert.equal(fs.readFileSync(path.join(dir, 'dest', '__', 'logs', 'a.csv'), 'utf-8'), 'a');
+    assert.equal(fs.existsSync(path.join(dir, 'logs')), false);
+  });
+});
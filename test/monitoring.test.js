@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const backends = require('../src/backends');
+const { MonitoringBackend, PollingBackend } = require('../src/backends/monitoring-backend');
+const { createManager, createDevice } = require('./helpers/manager');
+
+class QuietBackend extends MonitoringBackend {
+  async enumerate() {
+    return [];
+  }
+}
+
+class FailingEnumerateBackend extends MonitoringBackend {
+  async enumerate() {
+    throw new Error('enumeration failed');
+  }
+}
+
+describe('monitoring configuration', () => {
+  before(() => {
+    backends.registerBackend('test-quiet', QuietBackend);
+    backends.registerBackend('test-failing-enumerate', FailingEnumerateBackend);
+  });
+
+  after(() => {
+    backends.unregisterBackend('test-quiet');
+    backends.unregisterBackend('test-failing-enumerate');
+  });
+
+  it('keeps monitoring on the new backend when re-enumerating fails', async () => {
+    const manager = createManager({ monitoringMethod: 'test-quiet' });
+    manager.startMonitoring();
+
+    try {
+      await assert.rejects(manager.configureMonitoring({ method: 'test-failing-enumerate' }), /enumeration failed/);
+      assert.equal(manager.monitoringMethod, 'test-failing-enumerate');
+      assert.equal(manager.isMonitoring, true);
+      assert.equal(manager.backend.running, true);
+    } finally {
+      manager.stopMonitoring();
+    }
+  });
+});
+
+describe('backend health', () => {
+  before(() => {
+    backends.registerBackend('test-quiet', QuietBackend);
+  });
+
+  after(() => {
+    backends.unregisterBackend('test-quiet');
+  });
+
+  it('records a success for each device event of an event-driven backend', () => {
+    const manager = createManager({ monitoringMethod: 'test-quiet' });
+    const health = manager.getBackendHealth('test-quiet');
+    health.status = 'degraded';
+    health.consecutiveFailures = 1;
+
+    manager.backend.emit('connect', createDevice());
+
+    assert.equal(health.status, 'healthy');
+    assert.equal(health.consecutiveFailures, 0);
+    assert.notEqual(health.lastSuccessAt, null);
+  });
+
+  it('records a success for each successful enumeration', async () => {
+    const manager = createManager({ monitoringMethod: 'test-quiet' });
+
+    await manager.refreshDeviceList();
+
+    assert.notEqual(manager.getBackendHealth('test-quiet').lastSuccessAt, null);
+  });
+});
+
+describe('polling backends', () => {
+  class FailingPollBackend extends PollingBackend {
+    async poll() {
+      this.polls = (this.polls || 0) + 1;
+      throw new Error('poll failed');
+    }
+  }
+
+  it('do not report errors once stopped or without listeners', async () => {
+    const backend = new FailingPollBackend(null, { interval: 10 });
+
+    await backend.runPoll();
+
+    const errors = [];
+    backend.on('error', error => errors.push(error));
+    await backend.runPoll();
+    assert.deepEqual(errors, []);
+  });
+
+  it('keep polling when an error listener throws', async () => {
+    const backend = new FailingPollBackend(null, { interval: 10 });
+    backend.on('error', () => {
+      throw new Error('listener failed');
+    });
+
+    backend.start();
+    await delay(50);
+    backend.stop();
+
+    assert.ok(backend.polls > 1);
+  });
+});
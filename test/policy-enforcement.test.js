@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSysfsTree, readSysfsAttribute, removeSysfsTree } = require('./helpers/sysfs-tree');
+const { createManager, createDevice } = require('./helpers/manager');
+
+describe('policy enforcement', () => {
+  let root;
+
+  beforeEach(() => {
+    root = createSysfsTree({
+      usb1: { idVendor: '1d6b', idProduct: '0002', authorized: '1', authorized_default: '1' },
+      '1-1': { idVendor: '0781', idProduct: '5567', authorized: '0' },
+      '1-2': { idVendor: '0403', idProduct: '6001', authorized: '1' }
+    });
+  });
+
+  afterEach(() => {
+    removeSysfsTree(root);
+  });
+
+  function createEnforcingManager(policy) {
+    return createManager({ sysfsRoot: root, policy, policyEnforce: true, policyHoldNew: true });
+  }
+
+  // Devices as a non-sysfs backend (usb library, lsusb) reports them: no `authorized`
+  function createBackendDevice(manager, overrides) {
+    const device = createDevice(overrides);
+    device.policy = manager.evaluateDevicePolicy(device);
+    manager.devices.set(device.id, device);
+    return device;
+  }
+
+  it('authorizes a held device that is allowed', async () => {
+    const manager = createEnforcingManager({ rules: [{ id: 'sandisk', verdict: 'allow', vendorId: '0781' }] });
+    const device = createBackendDevice(manager, {});
+    assert.equal(device.authorized, undefined);
+
+    await manager.enforcePolicy(device);
+
+    assert.equal(readSysfsAttribute(root, '1-1', 'authorized'), '1');
+    assert.equal(device.authorized, true);
+    assert.deepEqual(manager.connectionHistory.map(entry => [entry.eventType, entry.details.action, entry.details.target]), [
+      ['policy-enforcement', 'authorize', '1-1']
+    ]);
+  });
+
+  it('authorizes a held device once approved', async () => {
+    const manager = createEnforcingManager({ defaultVerdict: 'alert' });
+    const device = createBackendDevice(manager, {});
+
+    await manager.enforcePolicy(device);
+    assert.equal(readSysfsAttribute(root, '1-1', 'authorized'), '0');
+
+    await manager.approveDevice(device.id);
+    assert.equal(readSysfsAttribute(root, '1-1', 'authorized'), '1');
+  });
+
+  it('deauthorizes a denied device', async () => {
+    const manager = createEnforcingManager({ rules: [{ id: 'ftdi', verdict: 'deny', vendorId: '0403' }] });
+    const device = createBackendDevice(manager, { id: 'usb-0403-6001-A10K', vendorId: 0x0403, productId: 0x6001, portPath: '1-2' });
+
+    await manager.enforcePolicy(device);
+
+    assert.equal(readSysfsAttribute(root, '1-2', 'authorized'), '0');
+    assert.deepEqual(device.enforcement, { deauthorized: true, interfaces: [] });
+  });
+
+  it('leaves devices without a sysfs entry alone', async () => {
+    const manager = createEnforcingManager({ rules: [{ id: 'all', verdict: 'deny' }] });
+    const device = createBackendDevice(manager, { portPath: '1-9' });
+
+    await manager.enforcePolicy(device);
+
+    assert.equal(device.authorized, undefined);
+    assert.equal(device.enforcement, undefined);
+  });
+});
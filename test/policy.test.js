@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePolicy, evaluatePolicy } = require('../src/utils/policy');
+
+describe('policy', () => {
+  describe('normalizePolicy', () => {
+    it('numbers rules without an id and keeps the default verdict', () => {
+      const policy = normalizePolicy({ rules: [{ verdict: 'deny', category: 'mass-storage' }] });
+
+      assert.equal(policy.defaultVerdict, 'allow');
+      assert.deepEqual(policy.rules, [{ id: 'rule-1', verdict: 'deny', category: 'mass-storage' }]);
+    });
+
+    it('rejects rules that are not objects', () => {
+      for (const rule of [null, 'deny', 42, ['deny']]) {
+        assert.throws(() => normalizePolicy({ rules: [{ verdict: 'allow' }, rule] }), {
+          code: 'INVALID_POLICY',
+          message: 'Rule #2 must be an object'
+        });
+      }
+    });
+
+    it('rejects unknown categories', () => {
+      for (const category of ['thumb-drive', ['hid-keyboard', 'keyboard'], [], 7]) {
+        assert.throws(() => normalizePolicy({ rules: [{ id: 'storage', verdict: 'deny', category }] }), {
+          code: 'INVALID_POLICY',
+          message: /^Rule storage: category must be one of/
+        });
+      }
+      assert.doesNotThrow(() => normalizePolicy({ rules: [{ verdict: 'allow', category: ['hid-keyboard', 'hid-mouse'] }] }));
+    });
+
+    it('rejects invalid verdicts, IDs, classes, fields and duplicate ids', () => {
+      const invalid = [
+        [{ defaultVerdict: 'block' }, /defaultVerdict/],
+        [{ rules: {} }, /rules must be an array/],
+        [{ rules: [{ verdict: 'block' }] }, /Rule rule-1: verdict/],
+        [{ rules: [{ verdict: 'deny', vendorId: 'xyz' }] }, /vendorId must be a USB ID/],
+        [{ rules: [{ verdict: 'deny', class: 256 }] }, /class must be a class code/],
+        [{ rules: [{ verdict: 'deny', vendor: '0781' }] }, /unknown field\(s\) vendor/],
+        [{ rules: [{ id: 'a', verdict: 'deny' }, { id: 'a', verdict: 'allow' }] }, /Duplicate rule id: a/]
+      ];
+      invalid.forEach(([policy, message]) => {
+        assert.throws(() => normalizePolicy(policy), { code: 'INVALID_POLICY', message });
+      });
+    });
+  });
+
+  describe('evaluatePolicy', () => {
+    const policy = normalizePolicy({
+      defaultVerdict: 'alert',
+      rules: [
+        { id: 'storage', verdict: 'deny', category: 'mass-storage' },
+        { id: 'lab', verdict: 'allow', vendorId: '0403', portPath: '1-2*' }
+      ]
+    });
+
+    it('applies the first matching rule', () => {
+      assert.deepEqual(evaluatePolicy(policy, { vendorId: 0x0781, category: 'mass-storage' }), {
+        verdict: 'deny', ruleId: 'storage', description: null, interfaces: null
+      });
+      assert.equal(evaluatePolicy(policy, { vendorId: 0x0403, portPath: '1-2.1', category: 'cdc-serial' }).ruleId, 'lab');
+    });
+
+    it('falls back to the default verdict', () => {
+      assert.deepEqual(evaluatePolicy(policy, { vendorId: 0x0403, portPath: '1-3', category: 'cdc-serial' }), {
+        verdict: 'alert', ruleId: null, description: null, interfaces: null
+      });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createManager, createDevice } = require('./helpers/manager');
+
+/**
+ * Transport that records what it is asked to send and answers IN
+ * transfers with `length` bytes
+ */
+function createFakeTransport() {
+  const calls = [];
+  return {
+    calls,
+    async control(device, setup) {
+      calls.push(['control', device.id, setup]);
+      return setup.data ? setup.data.length : Buffer.alloc(setup.length, 0xab);
+    },
+    async bulk(device, transfer) {
+      calls.push(['bulk', device.id, transfer]);
+      return transfer.data ? transfer.data.length : Buffer.alloc(transfer.length, 0xcd);
+    }
+  };
+}
+
+function createRawManager() {
+  const transport = createFakeTransport();
+  const manager = createManager({ rawTransferAllowlist: '0781:5567', rawTransferTimeout: 1000, usbTransport: transport });
+  const device = createDevice({
+    activeConfiguration: 1,
+    configurations: [{
+      configurationValue: 1,
+      interfaces: [{
+        interfaceNumber: 0,
+        endpoints: [
+          { address: 0x81, direction: 'in', type: 'bulk' },
+          { address: 0x02, direction: 'out', type: 'bulk' }
+        ]
+      }]
+    }]
+  });
+  manager.devices.set(device.id, device);
+  return { manager, device, transport };
+}
+
+describe('raw transfers', () => {
+  it('send vendor and class control requests', async () => {
+    const { manager, device, transport } = createRawManager();
+
+    const read = await manager.controlTransfer(device.id, { direction: 'in', request: 1, value: 2, index: 3, length: 4 });
+    assert.equal(read.bytesTransferred, 4);
+    assert.deepEqual(read.data, Buffer.alloc(4, 0xab));
+
+    const written = await manager.controlTransfer(device.id, {
+      direction: 'out', type: 'class', recipient: 'interface', request: 0x22, data: Buffer.from([1, 2])
+    });
+    assert.equal(written.bytesTransferred, 2);
+
+    assert.deepEqual(transport.calls.map(([kind, , setup]) => [kind, setup.bmRequestType, setup.bRequest, setup.timeout]), [
+      ['control', 0xc0, 1, 1000],
+      ['control', 0x21, 0x22, 1000]
+    ]);
+  });
+
+  it('refuse standard control requests', async () => {
+    const { manager, device, transport } = createRawManager();
+
+    for (const type of ['standard', 'reserved']) {
+      await assert.rejects(
+        manager.controlTransfer(device.id, { direction: 'out', type, request: 9, value: 1, data: Buffer.alloc(0) }),
+        { code: 'INVALID_REQUEST', message: /type must be one of class, vendor/ }
+      );
+    }
+    assert.deepEqual(transport.calls, []);
+  });
+
+  it('reject invalid timeouts', async () => {
+    const { manager, device, transport } = createRawManager();
+
+    for (const timeout of [0, -5, 1.5, '100', Infinity]) {
+      await assert.rejects(
+        manager.controlTransfer(device.id, { direction: 'in', request: 1, length: 1, timeout }),
+        { code: 'INVALID_REQUEST', message: /timeout/ }
+      );
+      await assert.rejects(
+        manager.bulkTransfer(device.id, { endpoint: 0x81, length: 1, timeout }),
+        { code: 'INVALID_REQUEST', message: /timeout/ }
+      );
+    }
+    assert.deepEqual(transport.calls, []);
+  });
+
+  it('pass a valid timeout through to the transport', async () => {
+    const { manager, device, transport } = createRawManager();
+
+    await manager.controlTransfer(device.id, { direction: 'in', request: 1, length: 1, timeout: 250 });
+    const result = await manager.bulkTransfer(device.id, { endpoint: '0x81', length: 8, timeout: 50 });
+
+    assert.equal(result.endpoint, 0x81);
+    assert.equal(result.bytesTransferred, 8);
+    assert.deepEqual(transport.calls.map(([kind, , transfer]) => [kind, transfer.timeout]), [['control', 250], ['bulk', 50]]);
+  });
+
+  it('refuse devices that are not allowlisted', async () => {
+    const { manager, transport } = createRawManager();
+    const other = createDevice({ id: 'usb-0403-6001-A10K', vendorId: 0x0403, productId: 0x6001 });
+    manager.devices.set(other.id, other);
+
+    await assert.rejects(
+      manager.controlTransfer(other.id, { direction: 'in', request: 1, length: 1 }),
+      { code: 'DEVICE_NOT_ALLOWED' }
+    );
+    assert.deepEqual(transport.calls, []);
+  });
+});
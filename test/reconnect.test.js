@@ -0,0 +1,46 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const blockDevices = require('../src/utils/block-devices');
+const { createManager, createDevice, recordEvents } = require('./helpers/manager');
+
+describe('quick reconnects', () => {
+  const { isAvailable } = blockDevices;
+
+  afterEach(() => {
+    blockDevices.isAvailable = isAvailable;
+  });
+
+  it('map volumes and restore watches without reporting a reconnect', async () => {
+    const volume = { name: 'sdb1', devicePath: '/dev/sdb1', portPath: '1-1', mountPoints: ['/media/LOGGER'], readOnly: false };
+    const device = createDevice();
+    const manager = createManager({ debounceMs: 1000, watchRules: [{ deviceId: device.id }] });
+    const events = recordEvents(manager, ['deviceConnected', 'deviceDisconnected', 'deviceUpdated']);
+
+    blockDevices.isAvailable = () => true;
+    manager.getStorageVolumes = async () => [volume];
+    const watched = new Set();
+    manager.volumeWatcher.watch = (key) => watched.add(key);
+    manager.volumeWatcher.unwatchDevice = (deviceId, keep = new Set()) => {
+      watched.forEach(key => {
+        if (key.startsWith(`${deviceId}|`) && !keep.has(key)) watched.delete(key);
+      });
+    };
+
+    manager.handleDeviceConnect(createDevice());
+    await delay(10);
+    assert.deepEqual([...watched], [`${device.id}|/dev/sdb1|/media/LOGGER`]);
+
+    manager.handleDeviceDisconnect(createDevice());
+    assert.equal(watched.size, 0);
+
+    manager.handleDeviceConnect(createDevice());
+    await delay(10);
+
+    assert.deepEqual([...watched], [`${device.id}|/dev/sdb1|/media/LOGGER`]);
+    assert.deepEqual(manager.getDevice(device.id).volumes, [volume]);
+    assert.equal(events.deviceConnected.length, 1);
+    assert.equal(events.deviceDisconnected.length, 0);
+    assert.equal(events.deviceUpdated.length, 0);
+  });
+});
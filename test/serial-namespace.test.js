@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const SerialHandler = require('../src/socket/serialHandler');
+const { createManager, createDevice } = require('./helpers/manager');
+
+// Opens a pty pair, prints the port end's name and echoes what it reads
+// back in upper case until stdin closes
+const PTY_ECHO = `
+import os, pty, select, sys, tty
+master, port = pty.openpty()
+tty.setraw(port)
+print(os.ttyname(port), flush=True)
+while True:
+    ready, _, _ = select.select([master, sys.stdin], [], [])
+    if sys.stdin in ready:
+        break
+    os.write(master, os.read(master, 1024).upper())
+`;
+
+const hasPty = process.platform === 'linux' && spawnSync('python3', ['--version']).status === 0;
+
+function nextEvent(socket, event, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, data => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+describe('/serial namespace', { skip: !hasPty && 'needs Linux and python3 for a pty pair' }, () => {
+  let dir;
+  let echo;
+  let server;
+  let io;
+  let manager;
+  let device;
+  const clients = [];
+
+  function connectClient() {
+    const client = connect(`http://127.0.0.1:${server.address().port}/serial`, { transports: ['websocket'] });
+    clients.push(client);
+    return nextEvent(client, 'connect').then(() => client);
+  }
+
+  before(async () => {
+    echo = spawn('python3', ['-c', PTY_ECHO], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const { value: ttyPath } = await readline.createInterface({ input: echo.stdout })[Symbol.asyncIterator]().next();
+
+    // ttyUSB0 on interface 1-2:1.0, its node linked to the pty
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serial-'));
+    const sysfsRoot = path.join(dir, 'sys');
+    const ttyDevice = path.join(sysfsRoot, 'devices', 'pci0000:00', 'usb1', '1-2', '1-2:1.0', 'ttyUSB0', 'tty', 'ttyUSB0');
+    fs.mkdirSync(ttyDevice, { recursive: true });
+    fs.mkdirSync(path.join(sysfsRoot, 'class', 'tty'), { recursive: true });
+    fs.symlinkSync(ttyDevice, path.join(sysfsRoot, 'class', 'tty', 'ttyUSB0'));
+    fs.mkdirSync(path.join(dir, 'dev'));
+    fs.symlinkSync(ttyPath, path.join(dir, 'dev', 'ttyUSB0'));
+
+    manager = createManager({ sysfsRoot, storageRoot: dir });
+    device = createDevice({ id: 'usb-0403-6001-A10K', vendorId: 0x0403, productId: 0x6001, portPath: '1-2' });
+    manager.devices.set(device.id, device);
+
+    server = http.createServer();
+    io = new Server(server);
+    new SerialHandler(io, manager);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    clients.forEach(client => client.disconnect());
+    await manager.serial.closeWhere(() => true, 'test finished');
+    io.close();
+    echo.stdin.end();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('opens, writes to and closes a port for its owner only', async () => {
+    const owner = await connectClient();
+    const other = await connectClient();
+
+    owner.emit('serial:open', { deviceId: device.id, baudRate: 115200 });
+    const { port } = await nextEvent(owner, 'serial:opened');
+    assert.equal(port.name, 'ttyUSB0');
+    assert.equal(port.deviceId, device.id);
+    assert.equal(port.owner, owner.id);
+    assert.equal(port.settings.baudRate, 115200);
+
+    other.emit('serial:open', { deviceId: device.id });
+    assert.equal((await nextEvent(other, 'serial:error')).code, 'PORT_LOCKED');
+
+    // The echo may come back in more than one chunk
+    let received = '';
+    owner.on('serial:data', event => {
+      received += Buffer.from(event.data).toString();
+    });
+    owner.emit('serial:write', { path: port.path, data: 'hello' });
+    while (received.length < 5) {
+      await nextEvent(owner, 'serial:data');
+    }
+    assert.equal(received, 'HELLO');
+
+    other.emit('serial:write', { path: port.path, data: 'intrude' });
+    const writeError = await nextEvent(other, 'serial:error');
+    assert.equal(writeError.code, 'PORT_LOCKED');
+    assert.equal(writeError.path, port.path);
+
+    other.emit('serial:close', { path: port.path });
+    assert.equal((await nextEvent(other, 'serial:error')).code, 'PORT_LOCKED');
+    assert.equal(manager.serial.isOpen(port.path), true);
+
+    owner.emit('serial:close', { path: port.path });
+    const closed = await nextEvent(owner, 'serial:closed');
+    assert.equal(closed.port.path, port.path);
+    assert.equal(manager.serial.isOpen(port.path), false);
+
+    owner.emit('serial:write', { path: port.path, data: 'again' });
+    assert.equal((await nextEvent(owner, 'serial:error')).code, 'PORT_NOT_OPEN');
+  });
+});
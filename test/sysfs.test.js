@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sysfs = require('../src/utils/sysfs');
+const { createSysfsTree, removeSysfsTree } = require('./helpers/sysfs-tree');
+
+const TREE = {
+  usb1: { idVendor: '1d6b', idProduct: '0002', busnum: '1', devnum: '1', bDeviceClass: '09', maxchild: '4', authorized_default: '1' },
+  '1-1': {
+    idVendor: '0781', idProduct: '5567', manufacturer: 'SanDisk', product: 'Cruzer Blade', serial: '4C530001',
+    busnum: '1', devnum: '2', speed: '480', version: ' 2.00', bcdDevice: '0100', bDeviceClass: '00',
+    bConfigurationValue: '1', bMaxPower: '200mA', maxchild: '0', removable: 'removable', authorized: '1',
+    'power/runtime_status': 'active'
+  },
+  '1-1:1.0': { bInterfaceClass: '08' },
+  '1-3': { idVendor: '05e3', idProduct: '0610', busnum: '1', devnum: '3', bDeviceClass: '09', maxchild: '4', authorized: '1' },
+  '1-3.2': { idVendor: '0403', idProduct: '6001', busnum: '1', devnum: '4', speed: '12', bDeviceClass: '00', authorized: '0' }
+};
+
+describe('sysfs', () => {
+  let root;
+
+  before(() => {
+    root = createSysfsTree(TREE);
+  });
+
+  after(() => {
+    removeSysfsTree(root);
+  });
+
+  it('reads a device entry', async () => {
+    const device = await sysfs.readUSBDevice(root, '1-1');
+
+    assert.equal(device.vendorId, 0x0781);
+    assert.equal(device.productId, 0x5567);
+    assert.equal(device.manufacturer, 'SanDisk');
+    assert.equal(device.product, 'Cruzer Blade');
+    assert.equal(device.serial, '4C530001');
+    assert.equal(device.busNumber, 1);
+    assert.equal(device.deviceAddress, 2);
+    assert.equal(device.portPath, '1-1');
+    assert.equal(device.speed, 'high');
+    assert.equal(device.bcdUSB, 0x0200);
+    assert.equal(device.deviceClass, 0);
+    assert.equal(device.maxPower, 200);
+    assert.equal(device.authorized, true);
+    assert.equal(device.powerState, 'active');
+    assert.equal(device.descriptors, null);
+  });
+
+  it('reports authorization and missing attributes', async () => {
+    const device = await sysfs.readUSBDevice(root, '1-3.2');
+
+    assert.equal(device.authorized, false);
+    assert.equal(device.speed, 'full');
+    assert.equal(device.serial, null);
+    assert.equal(device.bcdUSB, null);
+  });
+
+  it('returns null for entries without IDs', async () => {
+    assert.equal(await sysfs.readUSBDevice(root, '1-1:1.0'), null);
+    assert.equal(await sysfs.readUSBDevice(root, '1-9'), null);
+  });
+
+  it('lists device entries and skips interfaces', async () => {
+    const devices = await sysfs.listUSBDevices(root);
+
+    assert.deepEqual(devices.map(device => device.name).sort(), ['1-1', '1-3', '1-3.2', 'usb1']);
+  });
+
+  it('maps bus addresses to port paths', async () => {
+    const portPaths = await sysfs.readPortPaths(root);
+
+    assert.equal(portPaths.get('1-1'), 'usb1');
+    assert.equal(portPaths.get('1-2'), '1-1');
+    assert.equal(portPaths.get('1-4'), '1-3.2');
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sysfs = require('../src/utils/sysfs');
+const { parsePortPath, buildTopology } = require('../src/utils/topology');
+const { createSysfsTree, removeSysfsTree } = require('./helpers/sysfs-tree');
+
+describe('topology', () => {
+  it('parses port paths', () => {
+    assert.deepEqual(parsePortPath('usb2'), { busNumber: 2, ports: [] });
+    assert.deepEqual(parsePortPath('1-4.2'), { busNumber: 1, ports: [4, 2] });
+    assert.equal(parsePortPath('1-1:1.0'), null);
+    assert.equal(parsePortPath(null), null);
+  });
+
+  describe('from sysfs port paths', () => {
+    let root;
+
+    before(() => {
+      root = createSysfsTree({
+        usb1: { idVendor: '1d6b', idProduct: '0002', busnum: '1', devnum: '1', maxchild: '4' },
+        '1-3': { idVendor: '05e3', idProduct: '0610', busnum: '1', devnum: '3', maxchild: '4' },
+        '1-3.2': { idVendor: '0403', idProduct: '6001', busnum: '1', devnum: '4' },
+        // Below a hub that is not in the tree
+        '2-1.4': { idVendor: '0781', idProduct: '5567', busnum: '2', devnum: '5' }
+      });
+    });
+
+    after(() => {
+      removeSysfsTree(root);
+    });
+
+    it('nests devices under their hubs', async () => {
+      const devices = (await sysfs.listUSBDevices(root)).map(device => ({
+        ...device,
+        id: device.name,
+        status: 'connected'
+      }));
+      const topology = buildTopology(devices);
+
+      assert.equal(topology.deviceCount, 4);
+      assert.deepEqual(topology.unattached, []);
+      assert.deepEqual(topology.roots.map(node => node.portPath), ['usb1', 'usb2']);
+
+      const [bus1, bus2] = topology.roots;
+      assert.equal(bus1.id, 'usb1');
+      assert.deepEqual(bus1.children.map(node => node.id), ['1-3']);
+      const hub = bus1.children[0];
+      assert.equal(hub.isHub, true);
+      assert.equal(hub.port, 3);
+      assert.deepEqual(hub.children.map(node => [node.id, node.port]), [['1-3.2', 2]]);
+
+      assert.equal(bus2.placeholder, true);
+      assert.equal(bus2.children[0].placeholder, true);
+      assert.equal(bus2.children[0].portPath, '2-1');
+      assert.deepEqual(bus2.children[0].children.map(node => node.id), ['2-1.4']);
+    });
+  });
+
+  it('nests devices by parentId', () => {
+    const topology = buildTopology([
+      { id: 'hub', parentId: null, category: 'hub', status: 'connected' },
+      { id: 'drive', parentId: 'hub', port: 2, status: 'connected' },
+      { id: 'orphan', parentId: 'missing', status: 'connected' },
+      { id: 'gone', parentId: 'hub', status: 'disconnected' }
+    ]);
+
+    assert.equal(topology.deviceCount, 3);
+    assert.deepEqual(topology.roots.map(node => node.id), ['hub']);
+    assert.deepEqual(topology.roots[0].children.map(node => [node.id, node.port]), [['drive', 2]]);
+    assert.deepEqual(topology.unattached.map(node => node.id), ['orphan']);
+  });
+});
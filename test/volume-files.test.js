@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const volumeFiles = require('../src/utils/volume-files');
+
+describe('volume files', () => {
+  let base;
+  let root;
+
+  before(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-'));
+    root = path.join(base, 'volume');
+    fs.mkdirSync(root);
+    fs.writeFileSync(path.join(root, '..notes'), 'inside');
+    fs.writeFileSync(path.join(base, 'outside.txt'), 'outside');
+    fs.symlinkSync(path.join(base, 'outside.txt'), path.join(root, 'escape'));
+  });
+
+  after(() => {
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  it('allows names that start with two dots', async () => {
+    const resolved = await volumeFiles.resolve(root, '..notes');
+    assert.equal(resolved.relativePath, '..notes');
+
+    const stats = await volumeFiles.stat(root, 'sub/../..notes');
+    assert.equal(stats.path, '..notes');
+  });
+
+  it('rejects paths that leave the volume', async () => {
+    for (const relativePath of ['..', '../outside.txt', 'sub/../../outside.txt']) {
+      await assert.rejects(volumeFiles.resolve(root, relativePath), { code: 'PATH_OUTSIDE_VOLUME' });
+    }
+  });
+
+  it('rejects symlinks that point outside the volume', async () => {
+    await assert.rejects(volumeFiles.stat(root, 'escape'), { code: 'PATH_OUTSIDE_VOLUME' });
+  });
+});